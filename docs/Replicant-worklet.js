@@ -0,0 +1,17 @@
+//==============================================================================
+//
+//  This module registers the audio worklet processor for the Cmajor patch
+//  'replicant.cmajorpatch'.
+//
+//  It's loaded into the AudioWorkletGlobalScope by `audioWorklet.addModule()`
+//  when `createAudioWorkletNodePatchConnection()` is called with the option
+//  `workletLoadingMode: "module"`, which avoids the data: URIs that a strict
+//  Content-Security-Policy would block. The name of the worklet to register is
+//  passed as the `name` query parameter of this module's URL.
+//
+//==============================================================================
+
+import { Replicant } from "./Replicant.js"
+import { registerWorkletProcessorFromModule } from "./cmaj_api/cmaj_audio_worklet_helper.js"
+
+registerWorkletProcessorFromModule (import.meta.url, Replicant);
@@ -40,6 +40,9 @@ export function getOutputEndpoints() { return Replicant.prototype.getOutputEndpo
 /** Returns the patch's input endpoint list */
 export function getInputEndpoints()  { return Replicant.prototype.getInputEndpoints(); }
 
+/** The hashBytes() hash of the patch's webassembly, written by tools/update-web-export.mjs */
+export const wasmHash = "19b9f430";
+
 //==============================================================================
 /**  Creates an audio worklet node for the patch with the given name, attaches it
  *   to the audio context provided, and returns an object containing the node
@@ -102,7 +105,7 @@ export async function connectPatchToDefaultAudioAndMIDI (node, connection, audio
  *   This roughly mirrors functionality of the cmajor Performer API - see the
  *   C++ API classes and Cmajor docs for more information about how this is used.
  */
-class Replicant
+export class Replicant
 {
   /** After constructing one of these objects, call its
    *  initialise() method to prepare it for use.
@@ -116,8 +119,10 @@ class Replicant
    *
    *  @param {number} sessionID - A unique integer ID which will be used for `processor.session`.
    *  @param {number} frequency - The frequency in Hz that the processor will be expected to run at.
+   *  @param {WebAssembly.Module} [wasmModule] - An optional pre-compiled module to instantiate.
+   *                                             If this isn't supplied, the embedded bytes are used.
    */
-  async initialise (sessionID, frequency)
+  async initialise (sessionID, frequency, wasmModule)
   {
     if (! ((sessionID ^ 0) > 1))
       throw new Error ("initialise() requires a valid non-zero session ID argument");
@@ -140,8 +145,10 @@ class Replicant
       },
     };
 
-    const result = await WebAssembly.instantiate (this._getWasmBytes(), imports);
-    this.instance = result.instance;
+    if (wasmModule)
+      this.instance = await WebAssembly.instantiate (wasmModule, imports);
+    else
+      this.instance = (await WebAssembly.instantiate (this._getWasmBytes(), imports)).instance;
     const exports = this.instance.exports;
 
     const memoryBuffer = exports.memory?.buffer || memory.buffer;
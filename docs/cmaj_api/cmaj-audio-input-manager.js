@@ -0,0 +1,249 @@
+//==============================================================================
+//
+//  A manager for the sources that feed a patch's audio input endpoints when it
+//  runs in an AudioWorkletNode.
+//
+//  Each audio input can be fed from an input device, from a looped audio file,
+//  or muted, in the same way as `ServerSession.setAudioInputSource()` does for
+//  patches that run in the Cmajor server.
+//
+//==============================================================================
+
+import { EventListenerList } from "./cmaj-event-listener-list.js"
+
+//==============================================================================
+/** Controls what is connected to each of the audio inputs of a patch's AudioWorkletNode.
+ *
+ *  When the source for an input changes, any audio input mode listeners for that
+ *  endpoint are called with an object describing the new source. Its `mode` property
+ *  is "device", "file" or "mute", and it may also have `deviceID` and `error` properties.
+ */
+export class AudioInputManager  extends EventListenerList
+{
+    /** @param {Object} options
+     *  @param {AudioContext} options.audioContext - the context that the node belongs to
+     *  @param {AudioWorkletNode} options.node - a node created by createAudioWorkletNode()
+     */
+    constructor ({ audioContext, node })
+    {
+        super();
+
+        this.audioContext = audioContext;
+        this.node = node;
+        this.inputs = new Map();
+
+        for (const { endpointID, index } of node.audioEndpointMapping?.inputs ?? [])
+        {
+            this.inputs.set (endpointID, {
+                index,
+                deviceID: undefined,
+                source: undefined,
+                stream: undefined,
+                mode: { mode: "mute" },
+                requestNumber: 0,
+            });
+        }
+
+        this.deviceChangeListener = () => this.sendDeviceList();
+        navigator.mediaDevices?.addEventListener?.("devicechange", this.deviceChangeListener);
+    }
+
+    /** Disconnects all the input sources and releases any devices that are open. */
+    close()
+    {
+        navigator.mediaDevices?.removeEventListener?.("devicechange", this.deviceChangeListener);
+
+        for (const input of this.inputs.values())
+        {
+            ++input.requestNumber;
+            this.disconnectSource (input);
+        }
+    }
+
+    //==============================================================================
+    /** Returns a list of the available audio input devices. Each item has the properties
+     *  `deviceID`, `label` and `groupID`. N.B. browsers only provide the labels after the
+     *  user has given permission to use an input device.
+     */
+    async getAvailableDevices()
+    {
+        const devices = await navigator.mediaDevices?.enumerateDevices?.() ?? [];
+
+        return devices.filter (({ kind }) => kind === "audioinput")
+                      .map (({ deviceId, label, groupId }) => ({ deviceID: deviceId, label, groupID: groupId }));
+    }
+
+    /** Attaches a listener which is called with the result of getAvailableDevices()
+     *  whenever an audio device is added or removed.
+     */
+    addDeviceListListener (listener)                    { this.addEventListener    ("device_list_changed", listener); }
+
+    /** Removes a listener that was added with addDeviceListListener(). */
+    removeDeviceListListener (listener)                 { this.removeEventListener ("device_list_changed", listener); }
+
+    //==============================================================================
+    /** Sets the source for one of the patch's audio input endpoints.
+     *
+     *  @param {string} endpointID
+     *  @param {boolean} shouldMute - if true (and no file is given), the input is muted. Otherwise
+     *                                it's fed from the device chosen with setInputDevice(), or the
+     *                                default input device.
+     *  @param {Uint8Array|ArrayBuffer|Array} [fileDataToPlay] - if provided, the content of an audio
+     *                                file that the browser can decode, which is played as a loop
+     */
+    async setAudioInputSource (endpointID, shouldMute, fileDataToPlay)
+    {
+        const input = this.getInput (endpointID);
+        const requestNumber = ++input.requestNumber;
+
+        let newSource, newStream, newMode;
+
+        try
+        {
+            if (fileDataToPlay)
+            {
+                const buffer = await this.audioContext.decodeAudioData (copyToArrayBuffer (fileDataToPlay));
+
+                newSource = this.audioContext.createBufferSource();
+                newSource.buffer = buffer;
+                newSource.loop = true;
+                newMode = { mode: "file" };
+            }
+            else if (! shouldMute)
+            {
+                newStream = await navigator.mediaDevices.getUserMedia ({
+                    audio: {
+                        deviceId:         input.deviceID ? { exact: input.deviceID } : undefined,
+                        echoCancellation: false,
+                        noiseSuppression: false,
+                        autoGainControl:  false,
+                }});
+
+                newSource = this.audioContext.createMediaStreamSource (newStream);
+                newMode = { mode: "device", deviceID: input.deviceID };
+            }
+            else
+            {
+                newMode = { mode: "mute" };
+            }
+        }
+        catch (e)
+        {
+            if (requestNumber === input.requestNumber)
+            {
+                this.disconnectSource (input);
+                this.setMode (endpointID, input, { mode: "mute", error: e?.message ?? String (e) });
+            }
+
+            throw e;
+        }
+
+        // N.B. if another change was requested while this one was waiting, that one wins
+        if (requestNumber !== input.requestNumber)
+        {
+            newStream?.getTracks().forEach (track => track.stop());
+            return;
+        }
+
+        this.disconnectSource (input);
+
+        if (newSource)
+        {
+            newSource.connect (this.node, 0, input.index);
+            newSource.start?.();
+        }
+
+        input.source = newSource;
+        input.stream = newStream;
+
+        this.setMode (endpointID, input, newMode);
+
+        // once a device has been opened, the device list will include labels
+        if (newStream)
+            this.sendDeviceList();
+    }
+
+    /** Feeds an audio input endpoint from a particular input device.
+     *  @param {string} endpointID
+     *  @param {string} [deviceID] - one of the IDs from getAvailableDevices(), or undefined for the default device
+     */
+    async setInputDevice (endpointID, deviceID)
+    {
+        this.getInput (endpointID).deviceID = deviceID;
+        await this.setAudioInputSource (endpointID, false);
+    }
+
+    /** Returns an object describing the current source for an audio input endpoint. */
+    getAudioInputMode (endpointID)                      { return { ...this.getInput (endpointID).mode }; }
+
+    /** Attaches a listener function to be told when the input source for a particular
+     *  endpoint is changed.
+     */
+    addAudioInputModeListener (endpointID, listener)    { this.addEventListener    ("audio_input_mode_" + endpointID, listener); }
+
+    /** Removes a listener previously added with `addAudioInputModeListener()` */
+    removeAudioInputModeListener (endpointID, listener) { this.removeEventListener ("audio_input_mode_" + endpointID, listener); }
+
+    /** Sends the current mode to any audio mode listeners that are attached to the given endpoint. */
+    requestAudioInputMode (endpointID)                  { this.dispatchEvent ("audio_input_mode_" + endpointID, this.getAudioInputMode (endpointID)); }
+
+    //==============================================================================
+    /** @private */
+    getInput (endpointID)
+    {
+        const input = this.inputs.get (endpointID);
+
+        if (! input)
+            throw new Error (`"${endpointID}" is not an audio input endpoint`);
+
+        return input;
+    }
+
+    /** @private */
+    disconnectSource (input)
+    {
+        input.source?.stop?.();
+        input.source?.disconnect();
+        input.stream?.getTracks().forEach (track => track.stop());
+
+        input.source = undefined;
+        input.stream = undefined;
+    }
+
+    /** @private */
+    setMode (endpointID, input, mode)
+    {
+        input.mode = mode;
+        this.dispatchEvent ("audio_input_mode_" + endpointID, { ...mode });
+    }
+
+    /** @private */
+    async sendDeviceList()
+    {
+        // N.B. this is called without being awaited, so it reports its own errors rather than rejecting
+        if (this.getNumListenersForType ("device_list_changed") > 0)
+        {
+            try
+            {
+                this.dispatchEvent ("device_list_changed", await this.getAvailableDevices());
+            }
+            catch (e)
+            {
+                console.warn (`Could not get the list of audio input devices: ${e}`);
+            }
+        }
+    }
+}
+
+//==============================================================================
+// decodeAudioData() detaches the buffer that it's given, so this always makes a copy
+function copyToArrayBuffer (data)
+{
+    if (data instanceof ArrayBuffer)
+        return data.slice (0);
+
+    if (ArrayBuffer.isView (data))
+        return data.buffer.slice (data.byteOffset, data.byteOffset + data.byteLength);
+
+    return Uint8Array.from (data).buffer;
+}
@@ -76,10 +76,10 @@ export class EventListenerList
      */
     addSingleUseListener (type, listener)
     {
-        const l = message =>
+        const l = (message, details) =>
         {
             this.removeEventListener (type, l);
-            listener?.(message);
+            listener?.(message, details);
         };
 
         this.addEventListener (type, l);
@@ -89,14 +89,16 @@ export class EventListenerList
      *  that are registered for the given type.
      *
      *  @param {string} type
+     *  @param {Object} event
+     *  @param {Object} [details] - if provided, this is passed to the listeners as a second argument
      */
-    dispatchEvent (type, event)
+    dispatchEvent (type, event, details)
     {
         const list = this.listenersPerType[type];
 
         if (list)
             for (const listener of list)
-                listener?.(event);
+                listener?.(event, details);
     }
 
     /** Returns the number of listeners that are currently registered
@@ -67,7 +67,16 @@ class GenericPatchView extends HTMLElement
         this.parametersElement.innerHTML = "";
         this.titleElement.innerText = this.status?.manifest?.name ?? "Cmajor";
 
-        for (const endpointInfo of this.status?.details?.inputs)
+        if (this.status?.error)
+        {
+            const errorElement = document.createElement ("div");
+            errorElement.className = "patch-error";
+            errorElement.innerText = this.status.error;
+            this.parametersElement.appendChild (errorElement);
+            return;
+        }
+
+        for (const endpointInfo of this.status?.details?.inputs ?? [])
         {
             if (! endpointInfo.annotation?.hidden)
             {
@@ -151,6 +160,14 @@ class GenericPatchView extends HTMLElement
                 text-align: center;
             }
 
+            .patch-error {
+                color: var(--foreground);
+                white-space: pre-wrap;
+                cursor: text;
+                user-select: text;
+                -webkit-user-select: text;
+            }
+
             ${Controls.getAllCSS()}
 
             </style>
@@ -0,0 +1,200 @@
+//==============================================================================
+//
+//  A follower for MIDI clock, which turns the 24-PPQN clock, start, stop,
+//  continue and song position pointer messages sent by a DAW or drum machine
+//  into the tempo, transport state and position events that a patch's
+//  std::timeline input endpoints expect.
+//
+//==============================================================================
+
+import { EventListenerList } from "./cmaj-event-listener-list.js"
+import * as midi from "./cmaj-midi-helpers.js"
+
+const ticksPerQuarterNote = 24;
+const ticksPerSongPositionUnit = 6;
+const transportPlayingFlag = 1;
+
+// smaller changes are left to the position updates, which stop the patch drifting out of sync
+const minTempoChangeToSend = 0.2;
+
+//==============================================================================
+/** Follows an incoming MIDI clock, and sends the patch a `std::timeline::Tempo` event
+ *  when the tempo changes, a `std::timeline::TransportState` event when it starts
+ *  or stops, and a `std::timeline::Position` event when it starts, on each song
+ *  position pointer and every sixteenth note while playing, so that the patch can
+ *  correct any drift between its own clock and the incoming one.
+ *
+ *  As the MIDI spec requires, a start or continue message doesn't start playback
+ *  itself: that happens on the next clock, which is the tick at the current position.
+ *
+ *  Feed it messages by calling handleMIDIMessage(), e.g. from a MIDIInputManager's
+ *  MIDI message listener.
+ */
+export class MIDIClockFollower  extends EventListenerList
+{
+    /** @param {Object} options
+     *  @param {PatchConnection} options.connection - the connection to send the timeline events to
+     *  @param {string} [options.tempoEndpointID] - the patch's tempo input, or undefined if it has none
+     *  @param {string} [options.transportStateEndpointID] - the patch's transport state input, or undefined if it has none
+     *  @param {string} [options.positionEndpointID] - the patch's timeline position input, or undefined if it has none
+     *  @param {number} [options.numTicksToAverage] - the number of clock intervals that the tempo is averaged over (default: 24)
+     */
+    constructor ({ connection, tempoEndpointID, transportStateEndpointID, positionEndpointID, numTicksToAverage = 24 })
+    {
+        super();
+
+        this.connection = connection;
+        this.tempoEndpointID = tempoEndpointID;
+        this.transportStateEndpointID = transportStateEndpointID;
+        this.positionEndpointID = positionEndpointID;
+        this.numTicksToAverage = Math.max (1, numTicksToAverage);
+
+        this.isPlaying = false;
+        this.isStartPending = false;
+        this.tickPosition = 0;
+        this.bpm = undefined;
+        this.tickIntervals = [];
+        this.lastTickTime = undefined;
+    }
+
+    /** Returns the current state, as an object with the properties `bpm` (undefined until
+     *  the tempo is known), `playing` and `quarterNote`.
+     */
+    getState()
+    {
+        return { bpm: this.bpm, playing: this.isPlaying, quarterNote: this.tickPosition / ticksPerQuarterNote };
+    }
+
+    /** Attaches a listener which is called with the result of getState() whenever the tempo,
+     *  transport state or position is sent to the patch.
+     */
+    addStateListener (listener)         { this.addEventListener    ("clock_state", listener); }
+
+    /** Removes a listener that was added with addStateListener(). */
+    removeStateListener (listener)      { this.removeEventListener ("clock_state", listener); }
+
+    //==============================================================================
+    /** Handles a MIDI message. Anything other than clock, start, stop, continue and song
+     *  position messages is ignored.
+     *
+     *  @param {number} message - a short MIDI message packed as `(byte0 << 16) | (byte1 << 8) | byte2`
+     *  @param {number} timeStamp - the time the message was received, in milliseconds on the
+     *                              performance.now() clock (as given by Web MIDI)
+     *  @param {number} [audioContextTime] - if provided, the time on the patch's AudioContext clock
+     *                                       at which the events that this message causes should be applied
+     */
+    handleMIDIMessage (message, timeStamp, audioContextTime)
+    {
+        if (midi.isClock (message))
+        {
+            this.updateTempo (timeStamp, audioContextTime);
+
+            // playback starts on the first clock after a start or continue, which is the tick at the current position
+            if (this.isStartPending)
+            {
+                this.isStartPending = false;
+                this.sendPosition (audioContextTime);
+                this.setPlaying (true, audioContextTime);
+            }
+            else if (! this.isPlaying)
+            {
+                return;
+            }
+            else if (this.tickPosition % ticksPerSongPositionUnit == 0)
+            {
+                this.sendPosition (audioContextTime);
+            }
+
+            ++this.tickPosition;
+        }
+        else if (midi.isStart (message))
+        {
+            this.tickPosition = 0;
+            this.resetTempoTracking();
+            this.isStartPending = true;
+        }
+        else if (midi.isContinue (message))
+        {
+            this.isStartPending = true;
+        }
+        else if (midi.isStop (message))
+        {
+            this.isStartPending = false;
+            this.setPlaying (false, audioContextTime);
+        }
+        else if (midi.isSongPositionPointer (message))
+        {
+            this.tickPosition = midi.getSongPositionPointerValue (message) * ticksPerSongPositionUnit;
+            this.sendPosition (audioContextTime);
+        }
+    }
+
+    //==============================================================================
+    /** @private */
+    updateTempo (timeStamp, audioContextTime)
+    {
+        const lastTickTime = this.lastTickTime;
+        this.lastTickTime = timeStamp;
+
+        if (! (timeStamp > 0) || ! (lastTickTime > 0))
+            return;
+
+        const interval = timeStamp - lastTickTime;
+
+        // a long gap means that the clock has stopped and restarted, so the old intervals are no use
+        if (interval <= 0 || interval > 250)
+        {
+            this.tickIntervals = [];
+            return;
+        }
+
+        this.tickIntervals.push (interval);
+
+        if (this.tickIntervals.length > this.numTicksToAverage)
+            this.tickIntervals.shift();
+
+        const averageInterval = this.tickIntervals.reduce ((sum, i) => sum + i, 0) / this.tickIntervals.length;
+        const bpm = 60000 / (averageInterval * ticksPerQuarterNote);
+
+        if (this.bpm === undefined || Math.abs (bpm - this.bpm) >= minTempoChangeToSend)
+        {
+            this.bpm = bpm;
+            this.send (this.tempoEndpointID, { bpm }, audioContextTime);
+        }
+    }
+
+    /** @private */
+    resetTempoTracking()
+    {
+        this.tickIntervals = [];
+        this.lastTickTime = undefined;
+    }
+
+    /** @private */
+    setPlaying (shouldPlay, audioContextTime)
+    {
+        if (this.isPlaying === shouldPlay)
+            return;
+
+        this.isPlaying = shouldPlay;
+        this.send (this.transportStateEndpointID, { flags: shouldPlay ? transportPlayingFlag : 0 }, audioContextTime);
+    }
+
+    /** @private */
+    sendPosition (audioContextTime)
+    {
+        const quarterNote = this.tickPosition / ticksPerQuarterNote;
+        const barStartQuarterNote = Math.floor (quarterNote / 4) * 4; // MIDI clock has no time signature, so this assumes 4/4
+
+        this.send (this.positionEndpointID, { frameIndex: 0, quarterNote, barStartQuarterNote }, audioContextTime);
+    }
+
+    /** @private */
+    send (endpointID, value, audioContextTime)
+    {
+        if (endpointID)
+            this.connection.sendEventOrValue (endpointID, value, undefined, undefined, audioContextTime);
+
+        this.dispatchEvent ("clock_state", this.getState());
+    }
+}
@@ -0,0 +1,383 @@
+//==============================================================================
+//
+//  Managers for the Web MIDI ports that are connected to a patch's MIDI input
+//  and output endpoints.
+//
+//  They keep track of devices being plugged in and removed, let the host
+//  enable or disable each port, and send events when the list of devices
+//  changes.
+//
+//==============================================================================
+
+import { EventListenerList } from "./cmaj-event-listener-list.js"
+import { getMessageSize } from "./cmaj-midi-helpers.js"
+
+//==============================================================================
+// The shared logic for tracking a set of Web MIDI ports (either the inputs or the
+// outputs) and remembering which ones are enabled, by their IDs.
+class MIDIPortManager  extends EventListenerList
+{
+    constructor (portType, enableNewPorts)
+    {
+        super();
+
+        this.portType = portType;
+        this.enableNewPorts = enableNewPorts;
+
+        this.midiAccess = undefined;
+        this.enabledStates = new Map();
+        this.lastPortListKey = undefined;
+        this.stateChangeListener = () => this.updatePorts();
+    }
+
+    /** Requests access to the MIDI devices and starts using the enabled ports.
+     *  This throws an Error if the browser doesn't support Web MIDI or access is refused.
+     */
+    async open()
+    {
+        if (! navigator.requestMIDIAccess)
+            throw new Error ("Web MIDI API not supported.");
+
+        this.midiAccess = await navigator.requestMIDIAccess();
+        this.midiAccess.addEventListener ("statechange", this.stateChangeListener);
+        this.updatePorts();
+    }
+
+    /** Stops using all the ports and releases them. */
+    close()
+    {
+        if (! this.midiAccess)
+            return;
+
+        this.midiAccess.removeEventListener ("statechange", this.stateChangeListener);
+
+        for (const port of this.midiAccess[this.portType].values())
+            this.detachPort (port);
+
+        this.midiAccess = undefined;
+    }
+
+    /** @private */
+    getPorts()
+    {
+        if (! this.midiAccess)
+            return [];
+
+        return Array.from (this.midiAccess[this.portType].values(), ({ id, name, manufacturer, state }) =>
+            ({ id, name, manufacturer, state, enabled: this.isPortEnabled (id) }));
+    }
+
+    /** @private */
+    isPortEnabled (portID)
+    {
+        return this.enabledStates.get (portID) ?? this.enableNewPorts;
+    }
+
+    /** @private */
+    setPortEnabled (portID, shouldBeEnabled)
+    {
+        this.enabledStates.set (portID, !! shouldBeEnabled);
+        this.updatePorts (true);
+    }
+
+    /** @private */
+    getEnabledPorts()
+    {
+        if (! this.midiAccess)
+            return [];
+
+        return Array.from (this.midiAccess[this.portType].values())
+                    .filter (port => port.state === "connected" && this.isPortEnabled (port.id));
+    }
+
+    /** @private */
+    updatePorts (forceNotification = false)
+    {
+        if (! this.midiAccess)
+            return;
+
+        for (const port of this.midiAccess[this.portType].values())
+        {
+            if (port.state === "connected" && this.isPortEnabled (port.id))
+                this.attachPort (port);
+            else
+                this.detachPort (port);
+        }
+
+        // N.B. opening a port also triggers a statechange, so only notify when something visible has changed
+        const ports = this.getPorts();
+        const portListKey = JSON.stringify (ports);
+
+        if (forceNotification || portListKey !== this.lastPortListKey)
+        {
+            this.lastPortListKey = portListKey;
+            this.dispatchEvent ("port_list_changed", ports);
+        }
+    }
+
+    /** @private */
+    attachPort() {}
+
+    /** @private */
+    detachPort() {}
+}
+
+//==============================================================================
+/** Connects the Web MIDI inputs to one or more MIDI input endpoints of a patch.
+ *
+ *  After constructing one of these, call open() to request access to the MIDI
+ *  devices. New devices are enabled by default (see the `enableNewInputs` option),
+ *  and each input's enabled state is remembered by its ID if it's unplugged and
+ *  plugged back in.
+ */
+export class MIDIInputManager  extends MIDIPortManager
+{
+    /** @param {Object} options
+     *  @param {PatchConnection} options.connection - the connection to send the MIDI messages to
+     *  @param {AudioContext} [options.audioContext] - if provided, messages are timestamped so that
+     *                                                 they're applied at the right frame
+     *  @param {Array<string>} [options.endpointIDs] - the patch's MIDI input endpoints (default: ["midiIn"])
+     *  @param {boolean} [options.enableNewInputs] - whether newly-found inputs are enabled (default: true)
+     */
+    constructor ({ connection, audioContext, endpointIDs = ["midiIn"], enableNewInputs = true })
+    {
+        super ("inputs", enableNewInputs);
+
+        this.connection = connection;
+        this.audioContext = audioContext;
+        this.endpointIDs = endpointIDs;
+        this.channelFilter = undefined;
+    }
+
+    //==============================================================================
+    /** Returns a list of the MIDI inputs that are currently available. Each item has the
+     *  properties `id`, `name`, `manufacturer`, `state` and `enabled`.
+     */
+    getInputs()                                 { return this.getPorts(); }
+
+    /** Returns true if messages from the input with this ID are being sent to the patch. */
+    isInputEnabled (inputID)                    { return this.isPortEnabled (inputID); }
+
+    /** Enables or disables an input, by its ID. */
+    setInputEnabled (inputID, shouldBeEnabled)  { this.setPortEnabled (inputID, shouldBeEnabled); }
+
+    /** Restricts the channel messages that are sent to the patch to a set of channels.
+     *  System messages are always passed through.
+     *  @param {Array<number>|undefined} channels - a list of channel numbers 1 to 16, or
+     *                                              undefined to allow all channels
+     */
+    setChannelFilter (channels)
+    {
+        this.channelFilter = channels ? new Set (channels) : undefined;
+    }
+
+    /** Returns the list of channels set by setChannelFilter(), or undefined if all channels are allowed. */
+    getChannelFilter()
+    {
+        return this.channelFilter ? Array.from (this.channelFilter) : undefined;
+    }
+
+    //==============================================================================
+    /** Attaches a listener which is called with the result of getInputs() whenever
+     *  an input is added, removed, enabled or disabled.
+     */
+    addInputListListener (listener)             { this.addEventListener    ("port_list_changed", listener); }
+
+    /** Removes a listener that was added with addInputListListener(). */
+    removeInputListListener (listener)          { this.removeEventListener ("port_list_changed", listener); }
+
+    /** Attaches a listener which is called for each message that is sent to the patch. Its
+     *  argument has the properties `inputID`, `message` (a short MIDI message packed as
+     *  `(byte0 << 16) | (byte1 << 8) | byte2`), `timeStamp` (from the MIDIMessageEvent) and
+     *  `audioContextTime` (the time it's applied at on the AudioContext's clock, or undefined
+     *  if it's applied as soon as possible).
+     */
+    addMIDIMessageListener (listener)           { this.addEventListener    ("midi_message", listener); }
+
+    /** Removes a listener that was added with addMIDIMessageListener(). */
+    removeMIDIMessageListener (listener)        { this.removeEventListener ("midi_message", listener); }
+
+    //==============================================================================
+    /** @private */
+    attachPort (input)
+    {
+        if (input.onmidimessage)
+            return;
+
+        input.onmidimessage = ({ data, timeStamp }) => this.handleMessage (input.id, data, timeStamp);
+    }
+
+    /** @private */
+    detachPort (input)
+    {
+        if (! input.onmidimessage)
+            return;
+
+        input.onmidimessage = null;
+        input.close?.();
+    }
+
+    /** @private */
+    handleMessage (inputID, data, timeStamp)
+    {
+        // N.B. only short messages can be sent to a patch, so sysex is ignored
+        if (data.length === 0 || data.length > 3 || data[0] === 0xf0)
+            return;
+
+        const isChannelMessage = data[0] < 0xf0;
+
+        if (isChannelMessage && this.channelFilter && ! this.channelFilter.has ((data[0] & 0x0f) + 1))
+            return;
+
+        const message = ((data[0] ?? 0) << 16) | ((data[1] ?? 0) << 8) | (data[2] ?? 0);
+        const timestamp = this.audioContext ? getAudioContextTimeForMIDIEvent (this.audioContext, timeStamp) : undefined;
+
+        for (const endpointID of this.endpointIDs)
+            this.connection.sendMIDIInputEvent (endpointID, message, timestamp);
+
+        this.dispatchEvent ("midi_message", { inputID, message, timeStamp, audioContextTime: timestamp });
+    }
+}
+
+//==============================================================================
+/** Sends the events from one or more MIDI output endpoints of a patch to Web MIDI outputs.
+ *
+ *  After constructing one of these, call open() to request access to the MIDI devices.
+ *  New devices are enabled by default (see the `enableNewOutputs` option), and each
+ *  output's enabled state is remembered by its ID if it's unplugged and plugged back in.
+ *
+ *  If an AudioContext is provided, each message is scheduled so that it leaves the MIDI
+ *  port at the moment that the audio frame which produced it is played.
+ */
+export class MIDIOutputManager  extends MIDIPortManager
+{
+    /** @param {Object} options
+     *  @param {PatchConnection} options.connection - the connection to listen to
+     *  @param {AudioContext} [options.audioContext] - the context that the patch's node belongs to
+     *  @param {Array<string>} [options.endpointIDs] - the patch's MIDI output endpoints (default: ["midiOut"])
+     *  @param {boolean} [options.enableNewOutputs] - whether newly-found outputs are enabled (default: true)
+     */
+    constructor ({ connection, audioContext, endpointIDs = ["midiOut"], enableNewOutputs = true })
+    {
+        super ("outputs", enableNewOutputs);
+
+        this.connection = connection;
+        this.audioContext = audioContext;
+
+        this.endpointListeners = endpointIDs.map (endpointID =>
+        {
+            const listener = (event, details) => this.handleEvent (endpointID, event, details);
+            connection.addEndpointListener (endpointID, listener);
+            return { endpointID, listener };
+        });
+    }
+
+    /** Stops listening to the patch, and releases the MIDI ports. */
+    close()
+    {
+        for (const { endpointID, listener } of this.endpointListeners)
+            this.connection.removeEndpointListener (endpointID, listener);
+
+        this.endpointListeners = [];
+        super.close();
+    }
+
+    //==============================================================================
+    /** Returns a list of the MIDI outputs that are currently available. Each item has the
+     *  properties `id`, `name`, `manufacturer`, `state` and `enabled`.
+     */
+    getOutputs()                                    { return this.getPorts(); }
+
+    /** Returns true if the patch's messages are being sent to the output with this ID. */
+    isOutputEnabled (outputID)                      { return this.isPortEnabled (outputID); }
+
+    /** Enables or disables an output, by its ID. */
+    setOutputEnabled (outputID, shouldBeEnabled)    { this.setPortEnabled (outputID, shouldBeEnabled); }
+
+    /** Attaches a listener which is called with the result of getOutputs() whenever
+     *  an output is added, removed, enabled or disabled.
+     */
+    addOutputListListener (listener)                { this.addEventListener    ("port_list_changed", listener); }
+
+    /** Removes a listener that was added with addOutputListListener(). */
+    removeOutputListListener (listener)             { this.removeEventListener ("port_list_changed", listener); }
+
+    /** Attaches a listener which is called for each message that the patch sends. Its argument
+     *  has the properties `endpointID`, `message` (a short MIDI message packed as
+     *  `(byte0 << 16) | (byte1 << 8) | byte2`) and `timeStamp` (the time on the performance.now()
+     *  clock that it's scheduled for, or undefined if it's sent immediately).
+     */
+    addMIDIMessageListener (listener)               { this.addEventListener    ("midi_message", listener); }
+
+    /** Removes a listener that was added with addMIDIMessageListener(). */
+    removeMIDIMessageListener (listener)            { this.removeEventListener ("midi_message", listener); }
+
+    //==============================================================================
+    /** @private */
+    detachPort (output)
+    {
+        output.clear?.();
+    }
+
+    /** @private */
+    handleEvent (endpointID, event, details)
+    {
+        const message = event?.message;
+
+        if (typeof message !== "number")
+            return;
+
+        const size = getMessageSize (message);
+
+        if (size === 0)
+            return;
+
+        const bytes = [(message >> 16) & 0xff, (message >> 8) & 0xff, message & 0xff].slice (0, size);
+        const timeStamp = this.audioContext ? getPerformanceTimeForAudioFrame (this.audioContext, details?.frame) : undefined;
+
+        for (const output of this.getEnabledPorts())
+        {
+            try
+            {
+                output.send (bytes, timeStamp);
+            }
+            catch (e)
+            {
+                console.warn (`Could not send to MIDI output "${output.name}": ${e}`);
+            }
+        }
+
+        this.dispatchEvent ("midi_message", { endpointID, message, timeStamp });
+    }
+}
+
+//==============================================================================
+// Web MIDI timestamps are on the performance.now() clock, so this maps them onto the
+// AudioContext's clock. getOutputTimestamp() relates performance.now() to the frame that's
+// being heard, but the worklet renders ahead of that by the output latency, so events are
+// shifted by the gap between currentTime and contextTime to keep them in the future, plus a
+// little extra so that they land in a block that hasn't been rendered yet.
+function getAudioContextTimeForMIDIEvent (audioContext, midiTimeStamp)
+{
+    const midiSchedulingLatencySecs = 0.01;
+    const { contextTime, performanceTime } = audioContext.getOutputTimestamp?.() ?? {};
+
+    if (! (midiTimeStamp > 0) || ! (performanceTime > 0))
+        return undefined;
+
+    const renderAheadSecs = Math.max (0, audioContext.currentTime - contextTime);
+
+    return contextTime + (midiTimeStamp - performanceTime) / 1000 + renderAheadSecs + midiSchedulingLatencySecs;
+}
+
+// This maps the other way, finding the time on the performance.now() clock at which an
+// audio frame will be heard. Times in the past are sent immediately by Web MIDI.
+function getPerformanceTimeForAudioFrame (audioContext, frame)
+{
+    const { contextTime, performanceTime } = audioContext.getOutputTimestamp?.() ?? {};
+
+    if (! (frame >= 0) || ! (performanceTime > 0))
+        return undefined;
+
+    return performanceTime + (frame / audioContext.sampleRate - contextTime) * 1000;
+}
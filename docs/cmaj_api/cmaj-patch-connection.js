@@ -60,17 +60,25 @@ export class PatchConnection  extends EventListenerList
      *
      *  This can be used to send a value to either an 'event' or 'value' type input endpoint.
      *  If the endpoint is a 'value' type, then the rampFrames parameter can optionally be used to specify
-     *  the number of frames over which the current value should ramp to the new target one.
+     *  the number of frames over which the current value should ramp to the new target one. If it's
+     *  omitted, the endpoint's `rampFrames` or `smoothingTime` (in seconds) annotation is used instead.
+     *  Numeric values are snapped to the endpoint's `step` and clamped to its `min` and `max` annotations.
      *  The value parameter will be coerced to the type that is expected by the endpoint. So for
      *  examples, numbers will be converted to float or integer types, javascript objects and arrays
      *  will be converted into more complex types in as good a fashion is possible.
+     *
+     *  The optional timestamp is a time in seconds on the AudioContext's clock (i.e. the same timeline
+     *  as `audioContext.currentTime`). If it's provided and the patch supports it, the event or value
+     *  is applied at exactly that frame, rather than at the start of the next block. Timestamps which
+     *  are already in the past are applied as soon as possible.
      */
-    sendEventOrValue (endpointID, value, rampFrames, timeoutMillisecs)  { this.sendMessageToServer ({ type: "send_value", id: endpointID, value, rampFrames, timeout: timeoutMillisecs }); }
+    sendEventOrValue (endpointID, value, rampFrames, timeoutMillisecs, timestamp)  { this.sendMessageToServer ({ type: "send_value", id: endpointID, value, rampFrames, timeout: timeoutMillisecs, timestamp }); }
 
     /** Sends a short MIDI message value to a MIDI endpoint.
      *  The value must be a number encoded with `(byte0 << 16) | (byte1 << 8) | byte2`.
+     *  The optional timestamp works in the same way as for sendEventOrValue().
      */
-    sendMIDIInputEvent (endpointID, shortMIDICode)    { this.sendEventOrValue (endpointID, { message: shortMIDICode }); }
+    sendMIDIInputEvent (endpointID, shortMIDICode, timestamp)    { this.sendEventOrValue (endpointID, { message: shortMIDICode }, undefined, undefined, timestamp); }
 
     /** Tells the patch that a series of changes that constitute a gesture is about to take place
      *  for the given endpoint. Remember to call sendParameterGestureEnd() after they're done!
@@ -127,7 +135,10 @@ export class PatchConnection  extends EventListenerList
      *  that is being sent or received by an endpoint.
      *
      *  If the endpoint is an event or value, the callback will be given an argument which is
-     *  the new value.
+     *  the new value. For output events, the callback may also be given a second argument with
+     *  the properties `frameOffset` (the event's position within the audio block that produced it),
+     *  `frame` (its position on the audio clock, in frames since the AudioContext started) and
+     *  `typeIndex` (the index of its type in the endpoint's `dataTypes` list).
      *
      *  If the endpoint has the right shape to be treated as "audio" then the callback will receive
      *  a stream of updates of the min/max range of chunks of data that is flowing through it.
@@ -210,6 +221,6 @@ export class PatchConnection  extends EventListenerList
         if (msg.type == "param_value")
             this.dispatchEvent ("param_value_" + msg.message.endpointID, msg.message.value);
 
-        this.dispatchEvent (msg.type, msg.message);
+        this.dispatchEvent (msg.type, msg.message, msg.details);
     }
 }
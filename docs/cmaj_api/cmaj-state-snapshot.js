@@ -0,0 +1,241 @@
+//==============================================================================
+//
+//  Helpers for turning the raw heap of a webassembly patch into a compact,
+//  JSON-friendly snapshot, and for checking that a snapshot is compatible with
+//  the patch that it's being restored into.
+//
+//  Most of a patch's heap is zeros, so the memory is run-length encoded (runs of
+//  zeros vs runs of literal bytes) before being base64-encoded. These helpers
+//  don't depend on any browser APIs, so they also work in Node.js.
+//
+//==============================================================================
+
+const snapshotFormatName = "cmajor-wasm-state";
+const snapshotFormatVersion = 1;
+
+//==============================================================================
+/** Returns a short hex string which identifies a block of bytes (a 32-bit FNV-1a hash).
+ *  This is used to check that a snapshot came from the same webassembly build.
+ *  @param {Uint8Array} bytes
+ */
+export function hashBytes (bytes)
+{
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < bytes.length; ++i)
+        hash = Math.imul (hash ^ bytes[i], 0x01000193);
+
+    return (hash >>> 0).toString (16).padStart (8, "0");
+}
+
+/** Creates a serialisable snapshot object from a copy of a patch's memory.
+ *
+ *  @param {Uint8Array} memory - the memory, as returned in the `memory` property of `getState()`
+ *  @param {Object} tags - the details that identify the patch build:
+ *  @param {string} tags.patchID - the manifest's `ID`
+ *  @param {string} tags.patchVersion - the manifest's `version`
+ *  @param {string} tags.wasmHash - the result of calling hashBytes() on the patch's webassembly
+ *  @returns {Object} an object that can be passed to JSON.stringify()
+ */
+export function createStateSnapshot (memory, { patchID, patchVersion, wasmHash })
+{
+    return {
+        format: snapshotFormatName,
+        formatVersion: snapshotFormatVersion,
+        patchID,
+        patchVersion,
+        wasmHash,
+        memorySize: memory.length,
+        data: encodeBase64 (compressMemory (memory)),
+    };
+}
+
+/** Checks a snapshot against the patch that it's about to be restored into, and returns
+ *  the decompressed memory. If the snapshot isn't valid or came from a different build
+ *  of the patch, this throws an Error describing the problem.
+ *
+ *  @param {Object|string} snapshot - a snapshot object, or its JSON string
+ *  @param {Object} tags - the same details that are passed to createStateSnapshot(),
+ *                         plus a `memorySize` property for the expected heap size.
+ *  @returns {Uint8Array} the memory, as expected by `restoreState()`
+ */
+export function decodeStateSnapshot (snapshot, { patchID, patchVersion, wasmHash, memorySize })
+{
+    if (typeof snapshot === "string")
+        snapshot = JSON.parse (snapshot);
+
+    if (snapshot?.format !== snapshotFormatName || typeof snapshot.data !== "string")
+        throw new Error ("Not a valid state snapshot");
+
+    if (snapshot.formatVersion !== snapshotFormatVersion)
+        throw new Error (`Unsupported state snapshot version: ${snapshot.formatVersion}`);
+
+    if (snapshot.patchID !== patchID || snapshot.patchVersion !== patchVersion)
+        throw new Error (`This state snapshot was saved by patch "${snapshot.patchID}" version ${snapshot.patchVersion}, `
+                           + `so can't be restored into "${patchID}" version ${patchVersion}`);
+
+    if (snapshot.wasmHash !== wasmHash)
+        throw new Error ("This state snapshot was saved by a different build of the patch's webassembly");
+
+    if (snapshot.memorySize !== memorySize)
+        throw new Error (`This state snapshot has a memory size of ${snapshot.memorySize}, but ${memorySize} was expected`);
+
+    return decompressMemory (decodeBase64 (snapshot.data), memorySize);
+}
+
+//==============================================================================
+// The compressed data is a sequence of pairs of varints: a number of zero bytes,
+// then a number of literal bytes (which follow immediately after the pair).
+
+function compressMemory (memory)
+{
+    const out = [];
+
+    const writeVarint = (n) =>
+    {
+        while (n >= 0x80)
+        {
+            out.push ((n & 0x7f) | 0x80);
+            n >>>= 7;
+        }
+
+        out.push (n);
+    };
+
+    // N.B. short runs of zeros are cheaper to keep inside a literal than to split it
+    const minZeroRun = 4;
+    let pos = 0;
+
+    while (pos < memory.length)
+    {
+        const zeroStart = pos;
+
+        while (pos < memory.length && memory[pos] === 0)
+            ++pos;
+
+        const numZeros = pos - zeroStart;
+        const literalStart = pos;
+
+        while (pos < memory.length)
+        {
+            if (memory[pos] === 0)
+            {
+                let end = pos;
+
+                while (end < memory.length && memory[end] === 0 && end - pos < minZeroRun)
+                    ++end;
+
+                if (end - pos >= minZeroRun || end === memory.length)
+                    break;
+
+                pos = end;
+            }
+            else
+            {
+                ++pos;
+            }
+        }
+
+        writeVarint (numZeros);
+        writeVarint (pos - literalStart);
+
+        for (let i = literalStart; i < pos; ++i)
+            out.push (memory[i]);
+    }
+
+    return Uint8Array.from (out);
+}
+
+function decompressMemory (compressed, memorySize)
+{
+    const memory = new Uint8Array (memorySize);
+    let readPos = 0, writePos = 0;
+
+    const readVarint = () =>
+    {
+        let result = 0, shift = 0;
+
+        for (;;)
+        {
+            if (readPos >= compressed.length)
+                throw new Error ("State snapshot data is truncated");
+
+            const byte = compressed[readPos++];
+            result += (byte & 0x7f) * Math.pow (2, shift);
+
+            if ((byte & 0x80) === 0)
+                return result;
+
+            shift += 7;
+        }
+    };
+
+    while (readPos < compressed.length)
+    {
+        writePos += readVarint();
+        const numLiterals = readVarint();
+
+        if (writePos + numLiterals > memorySize || readPos + numLiterals > compressed.length)
+            throw new Error ("State snapshot data is corrupt");
+
+        memory.set (compressed.subarray (readPos, readPos + numLiterals), writePos);
+        readPos += numLiterals;
+        writePos += numLiterals;
+    }
+
+    if (writePos !== memorySize)
+        throw new Error ("State snapshot data is corrupt");
+
+    return memory;
+}
+
+//==============================================================================
+const base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+function encodeBase64 (bytes)
+{
+    let result = "";
+
+    for (let i = 0; i < bytes.length; i += 3)
+    {
+        const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+
+        result += base64Chars[(n >> 18) & 63]
+                + base64Chars[(n >> 12) & 63]
+                + (i + 1 < bytes.length ? base64Chars[(n >> 6) & 63] : "=")
+                + (i + 2 < bytes.length ? base64Chars[n & 63] : "=");
+    }
+
+    return result;
+}
+
+function decodeBase64 (text)
+{
+    const lookup = new Int16Array (128).fill (-1);
+
+    for (let i = 0; i < base64Chars.length; ++i)
+        lookup[base64Chars.charCodeAt (i)] = i;
+
+    const trimmed = text.replace (/=+$/, "");
+    const bytes = new Uint8Array (Math.floor (trimmed.length * 3 / 4));
+    let bits = 0, numBits = 0, pos = 0;
+
+    for (let i = 0; i < trimmed.length; ++i)
+    {
+        const value = lookup[trimmed.charCodeAt (i)] ?? -1;
+
+        if (value < 0)
+            throw new Error ("State snapshot data is not valid base64");
+
+        bits = ((bits << 6) | value) & 0xffffff;
+        numBits += 6;
+
+        if (numBits >= 8)
+        {
+            numBits -= 8;
+            bytes[pos++] = (bits >> numBits) & 0xff;
+        }
+    }
+
+    return bytes;
+}
@@ -0,0 +1,234 @@
+//==============================================================================
+//
+//  Helpers for converting blocks of rendered audio to and from WAV files.
+//
+//  These don't depend on any browser APIs, so they can be used from Node.js
+//  as well as from a web page.
+//
+//==============================================================================
+
+const sampleFormats =
+{
+    int16:   { formatTag: 1, bytesPerSample: 2 },
+    int24:   { formatTag: 1, bytesPerSample: 3 },
+    float32: { formatTag: 3, bytesPerSample: 4 },
+};
+
+/** Returns the list of sample formats that encodeWAVFile() can write. */
+export function getAvailableSampleFormats()     { return Object.keys (sampleFormats); }
+
+//==============================================================================
+/** Encodes some channels of audio as a WAV file.
+ *
+ *  @param {Array<Float32Array>} channels - one array of samples per channel. All the
+ *                                          arrays must be the same length.
+ *  @param {number} sampleRate - the sample rate to write into the file's header
+ *  @param {string} sampleFormat - one of "int16", "int24" (integer PCM) or "float32"
+ *  @returns {Uint8Array} the bytes of the complete file
+ */
+export function encodeWAVFile (channels, sampleRate, sampleFormat = "int16")
+{
+    const format = sampleFormats[sampleFormat];
+
+    if (! format)
+        throw new Error (`encodeWAVFile(): unknown sample format "${sampleFormat}"`);
+
+    if (! (channels?.length > 0))
+        throw new Error ("encodeWAVFile(): no channels were provided");
+
+    if (! (sampleRate > 0))
+        throw new Error ("encodeWAVFile(): invalid sample rate");
+
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+
+    for (const channel of channels)
+        if (channel.length !== numFrames)
+            throw new Error ("encodeWAVFile(): all channels must contain the same number of frames");
+
+    const isFloat = format.formatTag === 3;
+    const blockAlign = numChannels * format.bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const paddedDataSize = dataSize + (dataSize & 1);
+
+    // N.B. non-PCM formats need the extended fmt chunk plus a fact chunk
+    const fmtChunkSize = isFloat ? 18 : 16;
+    const factChunkSize = isFloat ? 12 : 0;
+    const headerSize = 12 + (8 + fmtChunkSize) + factChunkSize + 8;
+
+    const bytes = new Uint8Array (headerSize + paddedDataSize);
+    const view = new DataView (bytes.buffer);
+    let pos = 0;
+
+    const writeTag    = (tag) => { for (let i = 0; i < 4; ++i) view.setUint8 (pos++, tag.charCodeAt (i)); };
+    const writeUint16 = (v)   => { view.setUint16 (pos, v, true); pos += 2; };
+    const writeUint32 = (v)   => { view.setUint32 (pos, v, true); pos += 4; };
+
+    writeTag ("RIFF");
+    writeUint32 (bytes.length - 8);
+    writeTag ("WAVE");
+
+    writeTag ("fmt ");
+    writeUint32 (fmtChunkSize);
+    writeUint16 (format.formatTag);
+    writeUint16 (numChannels);
+    writeUint32 (sampleRate);
+    writeUint32 (sampleRate * blockAlign);
+    writeUint16 (blockAlign);
+    writeUint16 (format.bytesPerSample * 8);
+
+    if (isFloat)
+    {
+        writeUint16 (0);
+
+        writeTag ("fact");
+        writeUint32 (4);
+        writeUint32 (numFrames);
+    }
+
+    writeTag ("data");
+    writeUint32 (dataSize);
+
+    const clamp = v => (v > 1.0 ? 1.0 : (v < -1.0 ? -1.0 : (v || 0)));
+
+    for (let frame = 0; frame < numFrames; ++frame)
+    {
+        for (let channel = 0; channel < numChannels; ++channel)
+        {
+            const sample = channels[channel][frame];
+
+            switch (sampleFormat)
+            {
+                case "int16":
+                    view.setInt16 (pos, Math.round (clamp (sample) * 32767), true);
+                    break;
+
+                case "int24":
+                {
+                    const v = Math.round (clamp (sample) * 8388607);
+                    view.setUint8 (pos,      v & 0xff);
+                    view.setUint8 (pos + 1, (v >> 8) & 0xff);
+                    view.setUint8 (pos + 2, (v >> 16) & 0xff);
+                    break;
+                }
+
+                case "float32":
+                    view.setFloat32 (pos, sample, true);
+                    break;
+            }
+
+            pos += format.bytesPerSample;
+        }
+    }
+
+    return bytes;
+}
+
+//==============================================================================
+/** Returns true if the given bytes look like the start of a WAV file.
+ *  @param {Uint8Array|ArrayBuffer} data
+ */
+export function isWAVFile (data)
+{
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array (data);
+    const tagAt = (pos) => String.fromCharCode (...bytes.subarray (pos, pos + 4));
+
+    return bytes.length >= 12 && tagAt (0) === "RIFF" && tagAt (8) === "WAVE";
+}
+
+/** Decodes a WAV file into separate channels of floating-point samples.
+ *
+ *  This handles 8, 16, 24 and 32-bit integer PCM and 32 or 64-bit float data,
+ *  including the WAVE_FORMAT_EXTENSIBLE variants of those.
+ *
+ *  @param {Uint8Array|ArrayBuffer} data - the bytes of the complete file
+ *  @returns {Object} an object with properties `channels` (an array containing one
+ *                    Float32Array per channel), `sampleRate` and `numFrames`
+ */
+export function decodeWAVFile (data)
+{
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array (data);
+    const view = new DataView (bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const tagAt = (pos) => String.fromCharCode (...bytes.subarray (pos, pos + 4));
+
+    if (! isWAVFile (bytes))
+        throw new Error ("decodeWAVFile(): not a WAV file");
+
+    let format, dataStart, dataSize;
+
+    for (let pos = 12; pos + 8 <= bytes.length;)
+    {
+        const chunkID = tagAt (pos);
+        const chunkSize = view.getUint32 (pos + 4, true);
+        const chunkStart = pos + 8;
+
+        if (chunkID === "fmt " && chunkSize >= 16)
+        {
+            format = {
+                formatTag:     view.getUint16 (chunkStart, true),
+                numChannels:   view.getUint16 (chunkStart + 2, true),
+                sampleRate:    view.getUint32 (chunkStart + 4, true),
+                blockAlign:    view.getUint16 (chunkStart + 12, true),
+                bitsPerSample: view.getUint16 (chunkStart + 14, true),
+            };
+
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format tag at the start of its sub-format GUID
+            if (format.formatTag === 0xfffe && chunkSize >= 40)
+                format.formatTag = view.getUint16 (chunkStart + 24, true);
+        }
+        else if (chunkID === "data")
+        {
+            dataStart = chunkStart;
+            dataSize = Math.min (chunkSize, bytes.length - chunkStart);
+        }
+
+        pos = chunkStart + chunkSize + (chunkSize & 1);
+    }
+
+    if (! format || dataStart === undefined)
+        throw new Error ("decodeWAVFile(): the file has no fmt or data chunk");
+
+    const { formatTag, numChannels, sampleRate, blockAlign, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const readSample = getSampleReader (view, formatTag, bitsPerSample);
+
+    if (! readSample || numChannels < 1 || blockAlign < numChannels * bytesPerSample)
+        throw new Error (`decodeWAVFile(): unsupported format (type ${formatTag}, ${bitsPerSample} bits)`);
+
+    const numFrames = Math.floor (dataSize / blockAlign);
+    const channels = Array.from ({ length: numChannels }, () => new Float32Array (numFrames));
+
+    for (let frame = 0; frame < numFrames; ++frame)
+    {
+        const frameStart = dataStart + frame * blockAlign;
+
+        for (let channel = 0; channel < numChannels; ++channel)
+            channels[channel][frame] = readSample (frameStart + channel * bytesPerSample);
+    }
+
+    return { channels, sampleRate, numFrames };
+}
+
+function getSampleReader (view, formatTag, bitsPerSample)
+{
+    if (formatTag === 1)
+    {
+        switch (bitsPerSample)
+        {
+            case 8:   return pos => (view.getUint8 (pos) - 128) / 128;
+            case 16:  return pos => view.getInt16 (pos, true) / 32768;
+            case 24:  return pos => ((view.getInt8 (pos + 2) << 16) | (view.getUint8 (pos + 1) << 8) | view.getUint8 (pos)) / 8388608;
+            case 32:  return pos => view.getInt32 (pos, true) / 2147483648;
+        }
+    }
+    else if (formatTag === 3)
+    {
+        switch (bitsPerSample)
+        {
+            case 32:  return pos => view.getFloat32 (pos, true);
+            case 64:  return pos => view.getFloat64 (pos, true);
+        }
+    }
+
+    return undefined;
+}
@@ -1,12 +1,237 @@
 
 import { PatchConnection } from "./cmaj-patch-connection.js"
+import { createStateSnapshot, decodeStateSnapshot } from "./cmaj-state-snapshot.js"
+import { MIDIInputManager, MIDIOutputManager } from "./cmaj-midi-manager.js"
+import { MIDIClockFollower } from "./cmaj-midi-clock-follower.js"
+import { AudioInputManager } from "./cmaj-audio-input-manager.js"
+
+//==============================================================================
+/*  A single-producer, single-consumer queue of fixed-size records, held in a
+ *  SharedArrayBuffer so that the worklet and the main thread can exchange
+ *  messages without allocating.
+ *
+ *  Each record is 24 bytes: a type byte, a 16-bit ID (e.g. an endpoint index) and
+ *  an extra byte packed into one int32, then an int32 `aux` field, then either a
+ *  float64 value or a pair of float32s, then a float64 frame number.
+ *
+ *  N.B. this class is serialised into the worklet along with `registerWorkletProcessor`,
+ *  so it must be self contained too.
+ */
+class SharedRecordQueue
+{
+    static recordTypes =
+    {
+        parameterValue: 1,   // audio -> UI: id = input endpoint index, value = new value
+        eventValue:     2,   // audio -> UI: id = listener ID, value = numeric event, aux = frame offset in block (or -1),
+                             //              extra = type index, frame = absolute frame
+        eventMIDI:      3,   // audio -> UI: as eventValue, but value = packed short MIDI message
+        sendValue:      4,   // UI -> audio: id = input endpoint index, aux = ramp frames (or -1), value = new value
+        streamMinMax:   5,   // audio -> UI: id = listener ID, aux = channel, extra = number of channels, floats = min + max
+        portBarrier:    6,   // UI -> audio: aux = the sequence number of a port message, which has to be handled
+                             //              before any of the records that follow this one
+    };
+
+    static create (capacity)
+    {
+        return new SharedRecordQueue (new SharedArrayBuffer (8 + capacity * 24));
+    }
+
+    constructor (buffer)
+    {
+        this.buffer = buffer;
+        this.capacity = (buffer.byteLength - 8) / 24;
+
+        // header[0] is the write position, header[1] the read position
+        this.header  = new Int32Array (buffer, 0, 2);
+        this.ints    = new Int32Array (buffer, 8);
+        this.floats  = new Float32Array (buffer, 8);
+        this.doubles = new Float64Array (buffer, 8);
+    }
+
+    /** Returns false if the queue was full */
+    push (type, id, aux, value, extra = 0, frame = 0)
+    {
+        const slot = this.getSlotToWrite();
+
+        if (slot < 0)
+            return false;
+
+        this.writeHeader (slot, type, id, aux, extra);
+        this.doubles[slot * 3 + 1] = value;
+        this.doubles[slot * 3 + 2] = frame;
+        this.commitWrite (slot);
+        return true;
+    }
+
+    /** Returns false if the queue was full */
+    pushFloatPair (type, id, aux, value1, value2, extra = 0)
+    {
+        const slot = this.getSlotToWrite();
+
+        if (slot < 0)
+            return false;
+
+        this.writeHeader (slot, type, id, aux, extra);
+        this.floats[slot * 6 + 2] = value1;
+        this.floats[slot * 6 + 3] = value2;
+        this.commitWrite (slot);
+        return true;
+    }
+
+    /** Calls handleRecord (queue, slot) for each waiting record, then frees them.
+     *  If handleRecord returns false, this stops, leaving that record and the ones after it in the queue.
+     */
+    drain (handleRecord)
+    {
+        let read = Atomics.load (this.header, 1);
+        const write = Atomics.load (this.header, 0);
+
+        while (read !== write)
+        {
+            if (handleRecord (this, read) === false)
+                break;
+
+            read = (read + 1) % this.capacity;
+        }
+
+        Atomics.store (this.header, 1, read);
+    }
+
+    getType (slot)       { return this.ints[slot * 6] & 0xff; }
+    getID (slot)         { return (this.ints[slot * 6] >> 8) & 0xffff; }
+    getExtra (slot)      { return this.ints[slot * 6] >>> 24; }
+    getAux (slot)        { return this.ints[slot * 6 + 1]; }
+    getValue (slot)      { return this.doubles[slot * 3 + 1]; }
+    getFloat1 (slot)     { return this.floats[slot * 6 + 2]; }
+    getFloat2 (slot)     { return this.floats[slot * 6 + 3]; }
+    getFrame (slot)      { return this.doubles[slot * 3 + 2]; }
+
+    /** @private */
+    getSlotToWrite()
+    {
+        const write = Atomics.load (this.header, 0);
+        const read = Atomics.load (this.header, 1);
+
+        return (write + 1) % this.capacity === read ? -1 : write;
+    }
+
+    /** @private */
+    writeHeader (slot, type, id, aux, extra)
+    {
+        this.ints[slot * 6] = (type & 0xff) | ((id & 0xffff) << 8) | ((extra & 0xff) << 24);
+        this.ints[slot * 6 + 1] = aux;
+    }
+
+    /** @private */
+    commitWrite (slot)
+    {
+        Atomics.store (this.header, 0, (slot + 1) % this.capacity);
+    }
+}
+
+//==============================================================================
+// Creates an object that maps each of the given input event and value endpoints to functions that
+// update it (snapping and clamping values to their annotated range) and set it to its initial value.
+// N.B. this is serialised into the worklet along with registerWorkletProcessor(), so it must be self
+// contained, but it's also used on the main thread by applyInitialParameterValues()
+function makeEndpointMap (wrapper, endpoints, initialValueOverrides, frequency)
+{
+    const toKey = ({ endpointType, endpointID }) =>
+    {
+        switch (endpointType)
+        {
+            case "event": return `sendInputEvent_${endpointID}`;
+            case "value": return `setInputValue_${endpointID}`;
+        }
+
+        throw "Unhandled endpoint type";
+    };
+
+    // A value endpoint's default ramp length can be set with either a `rampFrames` annotation,
+    // or a `smoothingTime` annotation in seconds. A rampFrames argument sent with a value
+    // overrides these.
+    const getDefaultRampFrames = (annotation) =>
+    {
+        if (annotation?.rampFrames != null)
+            return Math.max (0, Math.round (annotation.rampFrames));
+
+        if (annotation?.smoothingTime != null)
+            return Math.max (0, Math.round (annotation.smoothingTime * frequency));
+
+        return undefined;
+    };
+
+    const lookup = {};
+    for (const { endpointID, endpointType, annotation, purpose } of endpoints)
+    {
+        const key = toKey ({ endpointType, endpointID });
+        const wrapperUpdate = wrapper[key]?.bind (wrapper);
+
+        if (! wrapperUpdate)
+            continue;
+
+        const snapAndConstrainValue = (value) =>
+        {
+            if (typeof value !== "number")
+                return value;
+
+            if (annotation?.step > 0)
+                value = Math.round (value / annotation.step) * annotation.step;
+
+            if (annotation?.min != null && annotation?.max != null)
+                value = Math.min (Math.max (value, annotation.min), annotation.max);
+
+            return value;
+        };
+
+        const isValue = endpointType === "value";
+        const shouldConstrain = isValue || purpose === "parameter";
+        const defaultRampFrames = isValue ? getDefaultRampFrames (annotation) : undefined;
+
+        // returns the value that was actually applied, after any snapping + clamping
+        const update = (value, rampFrames) =>
+        {
+            if (shouldConstrain)
+                value = snapAndConstrainValue (value);
+
+            const entry = lookup[endpointID];
+            entry.cachedValue = value;
+
+            if (isValue)
+                wrapperUpdate (value, rampFrames ?? defaultRampFrames ?? 0);
+            else
+                wrapperUpdate (value);
+
+            return value;
+        };
+
+        const initialValue = initialValueOverrides[endpointID] ?? annotation?.init;
+
+        lookup[endpointID] = {
+            update,
+            // N.B. initial values are applied immediately rather than ramped
+            initialise: initialValue != null ? () => update (initialValue, 0) : () => {},
+            purpose,
+            cachedValue: undefined,
+        };
+    }
+
+    return lookup;
+}
 
 //==============================================================================
 // N.B. code will be serialised to a string, so all `registerWorkletProcessor`s
 // dependencies must be self contained and not capture things in the outer scope
+function serialiseWorkletProcessorFactory (WrapperClass, workletName)
+{
+    // the sourceURL gives the code a readable name in stack traces and the browser's debugger
+    return `(${registerWorkletProcessor.toString()}) ("${workletName}", ${WrapperClass.toString()}, ${SharedRecordQueue.toString()}, ${makeEndpointMap.toString()});\n`
+             + `//# sourceURL=cmaj-worklet-processor-${encodeURIComponent (workletName)}.js\n`;
+}
+
 async function serialiseWorkletProcessorFactoryToDataURI (WrapperClass, workletName)
 {
-    const serialisedInvocation = `(${registerWorkletProcessor.toString()}) ("${workletName}", ${WrapperClass.toString()});`
+    const serialisedInvocation = serialiseWorkletProcessorFactory (WrapperClass, workletName);
 
     let reader = new FileReader();
     reader.readAsDataURL (new Blob ([serialisedInvocation], { type: "text/javascript" }));
@@ -14,7 +239,71 @@ async function serialiseWorkletProcessorFactoryToDataURI (WrapperClass, workletN
     return await new Promise (res => { reader.onloadend = () => res (reader.result); });
 }
 
-function registerWorkletProcessor (workletName, WrapperClass)
+// Adds the worklet processor's code to the audio context, using the method chosen by the options.
+async function addWorkletModule (audioContext, WrapperClass, workletName, { workletLoadingMode = "data-uri", workletModuleURL })
+{
+    switch (workletLoadingMode)
+    {
+        case "data-uri":
+            await audioContext.audioWorklet.addModule (await serialiseWorkletProcessorFactoryToDataURI (WrapperClass, workletName));
+            break;
+
+        case "blob":
+        {
+            const serialisedInvocation = serialiseWorkletProcessorFactory (WrapperClass, workletName);
+            const blobURL = URL.createObjectURL (new Blob ([serialisedInvocation], { type: "text/javascript" }));
+
+            try
+            {
+                await audioContext.audioWorklet.addModule (blobURL);
+            }
+            finally
+            {
+                URL.revokeObjectURL (blobURL);
+            }
+
+            break;
+        }
+
+        case "module":
+        {
+            if (! workletModuleURL)
+                throw new Error ("The \"module\" worklet loading mode needs a workletModuleURL");
+
+            // N.B. the module reads the worklet name from its own URL (see registerWorkletProcessorFromModule())
+            const url = new URL (workletModuleURL, globalThis.location?.href);
+            url.searchParams.set ("name", workletName);
+
+            await audioContext.audioWorklet.addModule (url.href);
+            break;
+        }
+
+        default:
+            throw new Error (`Unknown worklet loading mode "${workletLoadingMode}"`);
+    }
+}
+
+//==============================================================================
+/**  Registers the audio worklet processor for a patch, when called from inside a module that is
+ *   loaded into an AudioWorkletGlobalScope. This is what a patch's worklet module file does,
+ *   for use with the "module" worklet loading mode of createAudioWorkletNode().
+ *
+ *   @param {string} moduleURL - the `import.meta.url` of the calling module, which contains the
+ *                               name of the worklet to register as its `name` query parameter
+ *   @param {Object} WrapperClass - the generated Cmajor class
+ */
+export function registerWorkletProcessorFromModule (moduleURL, WrapperClass)
+{
+    // N.B. the URL class isn't available in every AudioWorkletGlobalScope, so parse it by hand
+    const nameParam = /[?&]name=([^&#]*)/.exec (moduleURL);
+
+    if (! nameParam)
+        throw new Error ("The worklet module's URL has no name parameter");
+
+    registerWorkletProcessor (decodeURIComponent (nameParam[1]), WrapperClass, SharedRecordQueue, makeEndpointMap);
+}
+
+function registerWorkletProcessor (workletName, WrapperClass, SharedRecordQueue, makeEndpointMap)
 {
     function makeConsumeOutputEvents ({ wrapper, eventOutputs, dispatchOutputEvent })
     {
@@ -24,101 +313,86 @@ function registerWorkletProcessor (workletName, WrapperClass)
             const reset = wrapper[`resetOutputEventCount_${endpointID}`]?.bind (wrapper);
             const readEventAtIndex = wrapper[`getOutputEvent_${endpointID}`]?.bind (wrapper);
 
-            return () =>
+            return (blockStartFrame, chunkOffset) =>
             {
                 const count = readCount();
                 for (let i = 0; i < count; ++i)
-                    dispatchOutputEvent (endpointID, readEventAtIndex (i));
+                {
+                    const { event, frame = 0, typeIndex = 0 } = readEventAtIndex (i);
+
+                    // N.B. the event's frame is relative to the start of the most recent advance() call
+                    const frameOffset = chunkOffset + frame;
+
+                    dispatchOutputEvent (endpointID, event, { frameOffset, frame: blockStartFrame + frameOffset, typeIndex });
+                }
 
                 reset();
             };
         });
 
-        return () => outputEventHandlers.forEach ((consume) => consume() );
+        return (blockStartFrame, chunkOffset) => outputEventHandlers.forEach ((consume) => consume (blockStartFrame, chunkOffset));
     }
 
-    function setInitialParameterValues (parametersMap)
+    // Keeps a list of actions to perform at particular frames, sorted by frame. Items
+    // with the same frame are applied in the order that they were added.
+    function makeEventScheduler()
     {
-        for (const { initialise } of Object.values (parametersMap))
-            initialise();
-    }
+        const pending = [];
 
-    function makeEndpointMap (wrapper, endpoints, initialValueOverrides)
-    {
-        const toKey = ({ endpointType, endpointID }) =>
-        {
-            switch (endpointType)
+        return {
+            add (frame, apply)
             {
-                case "event": return `sendInputEvent_${endpointID}`;
-                case "value": return `setInputValue_${endpointID}`;
-            }
+                let index = pending.length;
 
-            throw "Unhandled endpoint type";
-        };
+                while (index > 0 && pending[index - 1].frame > frame)
+                    --index;
 
-        const lookup = {};
-        for (const { endpointID, endpointType, annotation, purpose } of endpoints)
-        {
-            const key = toKey ({ endpointType, endpointID });
-            const wrapperUpdate = wrapper[key]?.bind (wrapper);
+                pending.splice (index, 0, { frame, apply });
+            },
 
-            const snapAndConstrainValue = (value) =>
+            // applies everything that is due at or before the given frame, and returns the
+            // frame of the next pending item (or Infinity if there isn't one)
+            applyDueEvents (frame)
             {
-                if (annotation.step != null)
-                    value = Math.round (value / annotation.step) * annotation.step;
-
-                if (annotation.min != null && annotation.max != null)
-                    value = Math.min (Math.max (value, annotation.min), annotation.max);
+                let numDue = 0;
 
-                return value;
-            };
+                while (numDue < pending.length && pending[numDue].frame <= frame)
+                    pending[numDue++].apply();
 
-            const update = (value, rampFrames) =>
-            {
-                // N.B. value clamping and rampFrames from annotations not currently applied
-                const entry = lookup[endpointID];
-                entry.cachedValue = value;
-                wrapperUpdate (value, rampFrames);
-            };
+                if (numDue > 0)
+                    pending.splice (0, numDue);
 
-            if (update)
-            {
-                const initialValue = initialValueOverrides[endpointID] ?? annotation?.init;
-
-                lookup[endpointID] = {
-                    snapAndConstrainValue,
-                    update,
-                    initialise: initialValue != null ? () => update (initialValue) : () => {},
-                    purpose,
-                    cachedValue: undefined,
-                };
-            }
-        }
+                return pending.length > 0 ? pending[0].frame : Infinity;
+            },
+        };
+    }
 
-        return lookup;
+    function setInitialParameterValues (parametersMap)
+    {
+        for (const { initialise } of Object.values (parametersMap))
+            initialise();
     }
 
-    function makeStreamEndpointHandler ({ wrapper, toEndpoints, wrapperMethodNamePrefix })
+    function makeStreamEndpointHandler ({ wrapper, endpoints, wrapperMethodNamePrefix })
     {
-        const endpoints = toEndpoints (wrapper);
-        if (endpoints.length === 0)
-            return () => {};
+        // N.B. each endpoint has its own worklet input/output, in the same order as the endpoint list
+        const handlers = endpoints.map (({ endpointID }) => wrapper[`${wrapperMethodNamePrefix}_${endpointID}`]?.bind (wrapper));
 
-        // N.B. we just take the first for now (and do the same when creating the node).
-        // we can do better, and should probably align with something similar to what the patch player does
-        const first = endpoints[0];
-        const handleFrames = wrapper[`${wrapperMethodNamePrefix}_${first.endpointID}`]?.bind (wrapper);
-        if (! handleFrames)
+        if (handlers.length === 0)
             return () => {};
 
-        return (channels, blockSize) => handleFrames (channels, blockSize);
+        return (channelsPerEndpoint, blockSize) =>
+        {
+            for (let i = 0; i < handlers.length; ++i)
+                handlers[i]?.(channelsPerEndpoint[i] ?? [], blockSize);
+        };
     }
 
     function makeInputStreamEndpointHandler (wrapper)
     {
         return makeStreamEndpointHandler ({
             wrapper,
-            toEndpoints: wrapper => wrapper.getInputEndpoints().filter (({ purpose }) => purpose === "audio in"),
+            endpoints: wrapper.getInputEndpoints().filter (({ purpose }) => purpose === "audio in"),
             wrapperMethodNamePrefix: "setInputStreamFrames",
         });
     }
@@ -127,11 +401,312 @@ function registerWorkletProcessor (workletName, WrapperClass)
     {
         return makeStreamEndpointHandler ({
             wrapper,
-            toEndpoints: wrapper => wrapper.getOutputEndpoints().filter (({ purpose }) => purpose === "audio out"),
+            endpoints: wrapper.getOutputEndpoints().filter (({ purpose }) => purpose === "audio out"),
             wrapperMethodNamePrefix: "getOutputFrames",
         });
     }
 
+    // Accumulates the audio flowing through a set of audio endpoints, for any listeners that have been
+    // attached to them. The endpoints are in the same order as the worklet's inputs or outputs.
+    function makeAudioStreamListeners (endpoints, sendListenerData)
+    {
+        const defaultGranularity = 512;
+
+        const entries = endpoints.map (({ endpointID, numAudioChannels }) => ({ endpointID, numChannels: numAudioChannels, listeners: [] }));
+        const findEntry = (endpointID) => entries.find (entry => entry.endpointID === endpointID);
+
+        const resetMinMax = (listener) =>
+        {
+            listener.min?.fill (Infinity);
+            listener.max?.fill (-Infinity);
+        };
+
+        const accumulate = (listener, channels, numFrames) =>
+        {
+            for (let start = 0; start < numFrames;)
+            {
+                const numToUse = Math.min (numFrames - start, listener.framesPerCallback - listener.numFrames);
+
+                for (let channel = 0; channel < listener.numChannels; ++channel)
+                {
+                    // N.B. an input with nothing connected to it has no channels, so counts as silence
+                    const source = channels[channel];
+
+                    if (listener.data)
+                    {
+                        if (source)
+                            listener.data[channel].set (source.subarray (start, start + numToUse), listener.numFrames);
+                        else
+                            listener.data[channel].fill (0, listener.numFrames, listener.numFrames + numToUse);
+
+                        continue;
+                    }
+
+                    let min = listener.min[channel], max = listener.max[channel];
+
+                    for (let i = start; i < start + numToUse; ++i)
+                    {
+                        const sample = source ? source[i] : 0;
+
+                        if (sample < min)  min = sample;
+                        if (sample > max)  max = sample;
+                    }
+
+                    listener.min[channel] = min;
+                    listener.max[channel] = max;
+                }
+
+                start += numToUse;
+                listener.numFrames += numToUse;
+
+                if (listener.numFrames === listener.framesPerCallback)
+                {
+                    sendListenerData (listener);
+                    listener.numFrames = 0;
+                    resetMinMax (listener);
+                }
+            }
+        };
+
+        return {
+            add ({ endpoint, replyType, listenerID, granularity, fullAudioData })
+            {
+                const entry = findEntry (endpoint);
+
+                if (! entry)
+                    return false;
+
+                const { numChannels } = entry;
+                const framesPerCallback = Math.max (1, Math.round (granularity > 0 ? granularity : defaultGranularity));
+
+                const listener = {
+                    replyType,
+                    listenerID,
+                    numChannels,
+                    framesPerCallback,
+                    numFrames: 0,
+                    data: fullAudioData ? Array.from ({ length: numChannels }, () => new Float32Array (framesPerCallback)) : undefined,
+                    min:  fullAudioData ? undefined : new Float32Array (numChannels),
+                    max:  fullAudioData ? undefined : new Float32Array (numChannels),
+                };
+
+                resetMinMax (listener);
+                entry.listeners.push (listener);
+                return true;
+            },
+
+            remove ({ endpoint, replyType })
+            {
+                const listeners = findEntry (endpoint)?.listeners;
+                const index = listeners?.findIndex (listener => listener.replyType === replyType) ?? -1;
+
+                if (index === -1)
+                    return false;
+
+                listeners.splice (index, 1);
+                return true;
+            },
+
+            process (channelsPerEndpoint, numFrames)
+            {
+                for (let i = 0; i < entries.length; ++i)
+                    for (const listener of entries[i].listeners)
+                        accumulate (listener, channelsPerEndpoint[i] ?? [], numFrames);
+            },
+        };
+    }
+
+    // Measures how long the patch takes to render, as a proportion of the real time that the rendered
+    // frames represent, and calls sendLevel with the average after every framesPerUpdate frames.
+    function makeCPULevelMonitor (sendLevel)
+    {
+        // N.B. not all browsers provide `performance` in the AudioWorkletGlobalScope, and although
+        // Date.now() is much coarser, averaging it over many blocks still gives a usable level
+        const now = globalThis.performance?.now ? () => performance.now() : () => Date.now();
+
+        let framesPerUpdate = 0, numFrames = 0, elapsedMillisecs = 0;
+
+        return {
+            setFramesPerUpdate (newFramesPerUpdate)
+            {
+                framesPerUpdate = newFramesPerUpdate > 0 ? newFramesPerUpdate : 0;
+                numFrames = 0;
+                elapsedMillisecs = 0;
+            },
+
+            run (render, inputs, outputs, numFramesInBlock)
+            {
+                if (framesPerUpdate === 0)
+                {
+                    render (inputs, outputs);
+                    return;
+                }
+
+                const startTime = now();
+                render (inputs, outputs);
+                elapsedMillisecs += now() - startTime;
+                numFrames += numFramesInBlock;
+
+                if (numFrames >= framesPerUpdate)
+                {
+                    sendLevel (elapsedMillisecs / (numFrames * 1000 / sampleRate));
+                    numFrames = 0;
+                    elapsedMillisecs = 0;
+                }
+            },
+        };
+    }
+
+    // Watches the patch's audio output for non-finite samples, extreme peaks and large DC offsets, so
+    // that a misbehaving patch can't send them to the speakers. In "mute" mode any problem mutes the
+    // output until reset() is called. In "limit" mode the output goes through a soft limiter, and only
+    // non-finite samples or DC cause it to mute. In "off" mode, nothing is checked.
+    function makeOutputSafetyStage (outputEndpoints, blockSize, sendTriggered)
+    {
+        const numChannels = outputEndpoints.reduce ((total, { numAudioChannels }) => total + numAudioChannels, 0);
+        const dcLevels = new Float64Array (numChannels);
+
+        // the DC level is smoothed over roughly half a second
+        const dcSmoothing = 1 - Math.exp (-blockSize / (0.5 * sampleRate));
+
+        const limiterKnee = 0.8, limiterCeiling = 1.0;
+        let mode = "mute", peakLimit = 4, dcLimit = 0.5;
+        let muted = false, hasReportedPeak = false;
+
+        const softLimit = (sample) =>
+        {
+            const magnitude = Math.abs (sample);
+
+            if (magnitude <= limiterKnee)
+                return sample;
+
+            const range = limiterCeiling - limiterKnee;
+            return Math.sign (sample) * (limiterKnee + range * Math.tanh ((magnitude - limiterKnee) / range));
+        };
+
+        const trigger = (reason, endpointIndex, shouldMute) =>
+        {
+            muted = muted || shouldMute;
+            sendTriggered ({ reason, endpointID: outputEndpoints[endpointIndex]?.endpointID, muted });
+        };
+
+        const silence = (outputs) =>
+        {
+            for (const channels of outputs)
+                for (const channel of channels)
+                    channel.fill (0);
+        };
+
+        return {
+            configure (options)
+            {
+                mode      = options?.mode ?? mode;
+                peakLimit = options?.peakLimit ?? peakLimit;
+                dcLimit   = options?.dcLimit ?? dcLimit;
+                this.reset();
+            },
+
+            reset()
+            {
+                muted = false;
+                hasReportedPeak = false;
+                dcLevels.fill (0);
+            },
+
+            process (outputs, numFrames)
+            {
+                if (mode === "off")
+                    return;
+
+                if (muted)
+                {
+                    silence (outputs);
+                    return;
+                }
+
+                let channelIndex = 0;
+
+                for (let endpointIndex = 0; endpointIndex < outputs.length; ++endpointIndex)
+                {
+                    for (const channel of outputs[endpointIndex])
+                    {
+                        let sum = 0, peak = 0;
+
+                        for (let i = 0; i < numFrames; ++i)
+                        {
+                            const sample = channel[i];
+                            sum += sample;
+
+                            const magnitude = Math.abs (sample);
+
+                            if (magnitude > peak)
+                                peak = magnitude;
+
+                            if (mode === "limit")
+                                channel[i] = softLimit (sample);
+                        }
+
+                        // N.B. any NaN or infinite sample makes the sum non-finite too
+                        if (! Number.isFinite (sum))
+                        {
+                            trigger ("non-finite", endpointIndex, true);
+                            silence (outputs);
+                            return;
+                        }
+
+                        const dcLevel = (dcLevels[channelIndex] += dcSmoothing * (sum / numFrames - dcLevels[channelIndex]));
+                        ++channelIndex;
+
+                        if (Math.abs (dcLevel) > dcLimit)
+                        {
+                            trigger ("dc", endpointIndex, true);
+                            silence (outputs);
+                            return;
+                        }
+
+                        if (peak > peakLimit)
+                        {
+                            if (mode === "mute")
+                            {
+                                trigger ("peak", endpointIndex, true);
+                                silence (outputs);
+                                return;
+                            }
+
+                            if (! hasReportedPeak)
+                            {
+                                hasReportedPeak = true;
+                                trigger ("peak", endpointIndex, false);
+                            }
+                        }
+                    }
+                }
+            },
+        };
+    }
+
+    // Checks that the node was created with an input for each of the patch's audio inputs and an output
+    // for each of its audio outputs, and returns a description of the problem if not.
+    function findAudioEndpointMismatch (wrapper, { numberOfInputs = 1, numberOfOutputs = 1, outputChannelCount })
+    {
+        const audioInputs  = wrapper.getInputEndpoints().filter (({ purpose }) => purpose === "audio in");
+        const audioOutputs = wrapper.getOutputEndpoints().filter (({ purpose }) => purpose === "audio out");
+
+        if (audioInputs.length !== numberOfInputs)
+            return `The patch has ${audioInputs.length} audio inputs, but the node has ${numberOfInputs}`;
+
+        if (audioOutputs.length !== numberOfOutputs)
+            return `The patch has ${audioOutputs.length} audio outputs, but the node has ${numberOfOutputs}`;
+
+        const mismatched = outputChannelCount && audioOutputs.find ((endpoint, i) => endpoint.numAudioChannels !== outputChannelCount[i]);
+
+        if (mismatched)
+            return `The patch's audio output "${mismatched.endpointID}" has ${mismatched.numAudioChannels} channels, `
+                     + `but the node's output has ${outputChannelCount[audioOutputs.indexOf (mismatched)]}`;
+
+        return undefined;
+    }
+
     class WorkletProcessor extends AudioWorkletProcessor
     {
         static get parameterDescriptors()
@@ -146,45 +721,152 @@ function registerWorkletProcessor (workletName, WrapperClass)
             this.processImpl = undefined;
             this.consumeOutputEvents = undefined;
 
-            const { sessionID = Date.now() & 0x7fffffff, initialValueOverrides = {} } = processorOptions;
+            const { sessionID = Date.now() & 0x7fffffff, initialValueOverrides = {}, wasmModule, sharedQueueBuffers,
+                    audioEndpointMapping, outputSafety } = processorOptions;
+
+            this.audioEndpointMapping = audioEndpointMapping;
+            this.outputSafetyOptions = outputSafety;
+
+            if (sharedQueueBuffers)
+            {
+                this.toProcessorQueue = new SharedRecordQueue (sharedQueueBuffers.toProcessor);
+                this.fromProcessorQueue = new SharedRecordQueue (sharedQueueBuffers.fromProcessor);
+                this.lastPortMessageSequence = 0;
+            }
+
+            this.nodeOptions = options;
+
+            if (! (sampleRate > 1))
+            {
+                this.reportInitialisationError ("invalid-sample-rate", `The audio context's sample rate (${sampleRate}) is not valid`);
+                return;
+            }
+
+            const isWebAssemblyError = (error) => error instanceof WebAssembly.CompileError
+                                                    || error instanceof WebAssembly.LinkError
+                                                    || error instanceof WebAssembly.RuntimeError;
 
             const wrapper = new WrapperClass();
 
-            wrapper.initialise (sessionID, sampleRate)
+            wrapper.initialise (sessionID, sampleRate, wasmModule)
                 .then (() => this.initialisePatch (wrapper, initialValueOverrides))
-                .catch (error => { throw new Error (error)});
+                .catch (error => this.reportInitialisationError (isWebAssemblyError (error) ? "wasm-compile" : "initialise-failed",
+                                                                 error?.message ?? String (error)));
+        }
+
+        // Tells the main thread that the patch couldn't be started. After this, the only message the
+        // processor responds to is a status request, which gets a status containing the error.
+        reportInitialisationError (code, message)
+        {
+            const status = {
+                error: message,
+                errorCode: code,
+                details: { inputs: [], outputs: [] },
+                sampleRate,
+            };
+
+            this.port.addEventListener ("message", e =>
+            {
+                if (e.data.type === "patch" && e.data.payload?.type === "req_status")
+                    this.sendPatchMessage ({ type: "status", message: status });
+            });
+
+            this.port.postMessage ({ type: "initialisation_error", code, message });
+            this.sendPatchMessage ({ type: "status", message: status });
+            this.port.start();
         }
 
         process (inputs, outputs)
         {
-            const input = inputs[0];
-            const output = outputs[0];
+            if (this.handleQueuedRecord)
+                this.toProcessorQueue.drain (this.handleQueuedRecord);
+
+            this.processImpl?.(inputs, outputs);
+
+            return true;
+        }
+
+        sendPatchMessage (payload)
+        {
+            this.port.postMessage ({ type: "patch", payload });
+        }
+
+        sendParameterValueChanged (endpointID, value)
+        {
+            const endpointIndex = this.inputEndpointIndexes?.[endpointID];
+
+            if (this.fromProcessorQueue && typeof value === "number" && endpointIndex !== undefined)
+                if (this.fromProcessorQueue.push (SharedRecordQueue.recordTypes.parameterValue, endpointIndex, 0, value))
+                    return;
+
+            this.sendPatchMessage ({
+                type: "param_value",
+                message: { endpointID, value }
+            });
+        }
+
+        sendEndpointListenerEvent ({ replyType, listenerID }, value, details)
+        {
+            if (this.fromProcessorQueue && listenerID !== undefined)
+            {
+                const { eventValue, eventMIDI } = SharedRecordQueue.recordTypes;
+                const { frameOffset = -1, frame = 0, typeIndex = 0 } = details ?? {};
+
+                if (typeof value === "number"
+                     && this.fromProcessorQueue.push (eventValue, listenerID, frameOffset, value, typeIndex, frame))
+                    return;
+
+                if (typeof value?.message === "number" && Object.keys (value).length === 1
+                     && this.fromProcessorQueue.push (eventMIDI, listenerID, frameOffset, value.message, typeIndex, frame))
+                    return;
+            }
+
+            this.sendPatchMessage ({
+                type: replyType,
+                message: value,
+                details,
+            });
+        }
+
+        sendStreamListenerData ({ replyType, listenerID, numChannels, data, min, max })
+        {
+            if (data)
+            {
+                // N.B. postMessage copies the arrays, so the listener's buffers can be re-used
+                this.sendPatchMessage ({ type: replyType, message: { data } });
+                return;
+            }
 
-            this.processImpl?.(input, output);
-            this.consumeOutputEvents?.();
+            if (this.fromProcessorQueue && listenerID !== undefined)
+            {
+                const { streamMinMax } = SharedRecordQueue.recordTypes;
+                let channel = 0;
 
-            return true;
-        }
+                while (channel < numChannels
+                        && this.fromProcessorQueue.pushFloatPair (streamMinMax, listenerID, channel, min[channel], max[channel], numChannels))
+                    ++channel;
 
-        sendPatchMessage (payload)
-        {
-            this.port.postMessage ({ type: "patch", payload });
-        }
+                if (channel === numChannels)
+                    return;
+            }
 
-        sendParameterValueChanged (endpointID, value)
-        {
-            this.sendPatchMessage ({
-                type: "param_value",
-                message: { endpointID, value }
-            });
+            this.sendPatchMessage ({ type: replyType, message: { min: Array.from (min), max: Array.from (max) } });
         }
 
         initialisePatch (wrapper, initialValueOverrides)
         {
             try
             {
+                const mismatch = findAudioEndpointMismatch (wrapper, this.nodeOptions);
+
+                if (mismatch)
+                {
+                    this.reportInitialisationError ("endpoint-mismatch", mismatch);
+                    return;
+                }
+
                 const inputParameters = wrapper.getInputEndpoints().filter (({ purpose }) => purpose === "parameter");
-                const parametersMap = makeEndpointMap (wrapper, inputParameters, initialValueOverrides);
+                const parametersMap = makeEndpointMap (wrapper, inputParameters, initialValueOverrides, sampleRate);
 
                 setInitialParameterValues (parametersMap);
 
@@ -207,7 +889,7 @@ function registerWorkletProcessor (workletName, WrapperClass)
 
                 const isNonAudioOrParameterEndpoint = ({ purpose }) => ! ["audio in", "parameter"].includes (purpose);
                 const otherInputs = wrapper.getInputEndpoints().filter (isNonAudioOrParameterEndpoint);
-                const otherInputEndpointsMap = makeEndpointMap (wrapper, otherInputs, initialValueOverrides);
+                const otherInputEndpointsMap = makeEndpointMap (wrapper, otherInputs, initialValueOverrides, sampleRate);
 
                 const isEvent = ({ endpointType }) => endpointType === "event";
                 const eventInputs = wrapper.getInputEndpoints().filter (isEvent);
@@ -229,15 +911,10 @@ function registerWorkletProcessor (workletName, WrapperClass)
                 this.consumeOutputEvents = makeConsumeOutputEvents ({
                     eventOutputs,
                     wrapper,
-                    dispatchOutputEvent: (endpointID, event) =>
+                    dispatchOutputEvent: (endpointID, event, details) =>
                     {
-                        for (const { replyType } of outputEventListeners[endpointID] ?? [])
-                        {
-                            this.sendPatchMessage ({
-                                type: replyType,
-                                message: event.event, // N.B. chucking away frame and typeIndex info for now
-                            });
-                        }
+                        for (const listener of outputEventListeners[endpointID] ?? [])
+                            this.sendEndpointListenerEvent (listener, event, details);
                     },
                 });
 
@@ -245,22 +922,126 @@ function registerWorkletProcessor (workletName, WrapperClass)
                 const prepareInputFrames = makeInputStreamEndpointHandler (wrapper);
                 const processOutputFrames = makeOutputStreamEndpointHandler (wrapper);
 
-                this.processImpl = (input, output) =>
+                const scheduler = makeEventScheduler();
+
+                const renderFrames = (inputs, outputs, numFrames, blockStartFrame, chunkOffset) =>
+                {
+                    prepareInputFrames (inputs, numFrames);
+                    wrapper.advance (numFrames);
+                    processOutputFrames (outputs, numFrames);
+                    this.consumeOutputEvents (blockStartFrame, chunkOffset);
+                };
+
+                const sliceChannels = (channelsPerEndpoint, start, end) =>
+                    channelsPerEndpoint.map (channels => channels.map (channel => channel.subarray (start, end)));
+
+                const renderBlock = (inputs, outputs) =>
+                {
+                    // N.B. `currentFrame` is the AudioWorkletGlobalScope's frame counter for the start of this block
+                    const blockStartFrame = currentFrame;
+                    let nextEventFrame = scheduler.applyDueEvents (blockStartFrame);
+
+                    if (nextEventFrame >= blockStartFrame + blockSize)
+                    {
+                        renderFrames (inputs, outputs, blockSize, blockStartFrame, 0);
+                        return;
+                    }
+
+                    // there are scheduled events inside this block, so render it in chunks between them
+                    for (let start = 0; start < blockSize;)
+                    {
+                        const end = Math.min (blockSize, nextEventFrame - blockStartFrame);
+
+                        renderFrames (sliceChannels (inputs, start, end), sliceChannels (outputs, start, end),
+                                      end - start, blockStartFrame, start);
+
+                        start = end;
+                        nextEventFrame = scheduler.applyDueEvents (blockStartFrame + start);
+                    }
+                };
+
+                const hasPurpose = (purpose) => (endpoint) => endpoint.purpose === purpose;
+                const sendStreamListenerData = (listener) => this.sendStreamListenerData (listener);
+                const inputStreamListeners  = makeAudioStreamListeners (wrapper.getInputEndpoints().filter (hasPurpose ("audio in")), sendStreamListenerData);
+                const outputStreamListeners = makeAudioStreamListeners (wrapper.getOutputEndpoints().filter (hasPurpose ("audio out")), sendStreamListenerData);
+
+                const cpuLevelMonitor = makeCPULevelMonitor (level => this.sendPatchMessage ({ type: "cpu_info", message: { level } }));
+
+                const outputSafety = makeOutputSafetyStage (wrapper.getOutputEndpoints().filter (hasPurpose ("audio out")), blockSize,
+                                                            message => this.sendPatchMessage ({ type: "output_safety_triggered", message }));
+                outputSafety.configure (this.outputSafetyOptions);
+
+                this.processImpl = (inputs, outputs) =>
+                {
+                    cpuLevelMonitor.run (renderBlock, inputs, outputs, blockSize);
+                    outputSafety.process (outputs, blockSize);
+
+                    inputStreamListeners.process (inputs, blockSize);
+                    outputStreamListeners.process (outputs, blockSize);
+                };
+
+                const sendValue = (endpointID, value, rampFrames) =>
                 {
-                    prepareInputFrames (input, blockSize);
-                    wrapper.advance (blockSize);
-                    processOutputFrames (output, blockSize);
+                    const parameter = parametersMap[endpointID];
+
+                    if (parameter)
+                    {
+                        const newValue = parameter.update (value, rampFrames);
+
+                        this.sendParameterValueChanged (endpointID, newValue);
+                        return;
+                    }
+
+                    const inputEndpoint = otherInputEndpointsMap[endpointID];
+
+                    if (inputEndpoint)
+                    {
+                        inputEndpoint.update (value, rampFrames);
+
+                        for (const listener of inputEventListeners[endpointID] ?? [])
+                            this.sendEndpointListenerEvent (listener, inputEndpoint.cachedValue);
+                    }
                 };
 
-                // N.B. the message port makes things straightforward, but it allocates (when sending + receiving).
-                // so, we aren't doing ourselves any favours. we probably ought to marshal raw bytes over to the gui in
-                // a pre-allocated lock-free message queue (using `SharedArrayBuffer` + `Atomic`s) and transform the raw
-                // messages there.
+                const inputEndpointIDs = wrapper.getInputEndpoints().map (({ endpointID }) => endpointID);
+                this.inputEndpointIndexes = Object.fromEntries (inputEndpointIDs.map ((endpointID, i) => [endpointID, i]));
+
+                // N.B. when the shared queues are available, simple values and events travel as raw records
+                // through pre-allocated lock-free buffers (see `SharedRecordQueue`), and the message port
+                // (which allocates when sending + receiving) is only used for everything else.
+                if (this.toProcessorQueue)
+                {
+                    this.handleQueuedRecord = (queue, slot) =>
+                    {
+                        switch (queue.getType (slot))
+                        {
+                            case SharedRecordQueue.recordTypes.sendValue:
+                            {
+                                const rampFrames = queue.getAux (slot);
+                                sendValue (inputEndpointIDs[queue.getID (slot)], queue.getValue (slot), rampFrames < 0 ? undefined : rampFrames);
+                                break;
+                            }
+
+                            case SharedRecordQueue.recordTypes.portBarrier:
+                                // stop here until the port message that was sent before the following records has arrived
+                                // N.B. the sequence numbers wrap around, hence the 32-bit difference
+                                return ((queue.getAux (slot) - this.lastPortMessageSequence) | 0) <= 0;
+                        }
+                    };
+                }
+
                 this.port.addEventListener ("message", e =>
                 {
                     if (e.data.type !== "patch")
                         return;
 
+                    // anything that was queued before this message was sent has to be applied first
+                    if (this.handleQueuedRecord)
+                    {
+                        this.toProcessorQueue.drain (this.handleQueuedRecord);
+                        this.lastPortMessageSequence = e.data.sequence ?? this.lastPortMessageSequence;
+                    }
+
                     const msg = e.data.payload;
 
                     switch (msg.type)
@@ -274,6 +1055,7 @@ function registerWorkletProcessor (workletName, WrapperClass)
                                         inputs: wrapper.getInputEndpoints(),
                                         outputs: wrapper.getOutputEndpoints(),
                                     },
+                                    audioEndpointMapping: this.audioEndpointMapping,
                                     sampleRate,
                                 },
                             });
@@ -283,6 +1065,7 @@ function registerWorkletProcessor (workletName, WrapperClass)
                         case "req_reset":
                         {
                             resetState();
+                            outputSafety.reset();
                             initialValues.forEach (v => this.sendParameterValueChanged (v.endpointID, v.value));
                             break;
                         }
@@ -303,50 +1086,64 @@ function registerWorkletProcessor (workletName, WrapperClass)
 
                         case "send_value":
                         {
-                            const endpointID = msg.id;
-                            const parameter = parametersMap[endpointID];
-
-                            if (parameter)
+                            if (Number.isFinite (msg.timestamp))
                             {
-                                const newValue = parameter.snapAndConstrainValue (msg.value);
-                                parameter.update (newValue, msg.rampFrames);
-
-                                this.sendParameterValueChanged (endpointID, newValue);
-                                return;
+                                const frame = Math.round (msg.timestamp * sampleRate);
+                                scheduler.add (frame, () => sendValue (msg.id, msg.value, msg.rampFrames));
                             }
-
-                            const inputEndpoint = otherInputEndpointsMap[endpointID];
-
-                            if (inputEndpoint)
+                            else
                             {
-                                inputEndpoint.update (msg.value);
-
-                                for (const { replyType } of inputEventListeners[endpointID] ?? [])
-                                {
-                                    this.sendPatchMessage ({
-                                        type: replyType,
-                                        message: inputEndpoint.cachedValue,
-                                    });
-                                }
+                                sendValue (msg.id, msg.value, msg.rampFrames);
                             }
+
                             break;
                         }
 
+                        case "reset_output_safety":
+                            outputSafety.reset();
+                            break;
+
+                        case "set_output_safety":
+                            outputSafety.configure (msg.options);
+                            break;
+
+                        case "set_cpu_info_rate":
+                            cpuLevelMonitor.setFramesPerUpdate (msg.framesPerCallback);
+                            break;
+
                         case "send_gesture_start": break;
                         case "send_gesture_end": break;
 
                         case "req_full_state":
+                        {
+                            const message = { parameters: toParameterValuesWithKey ("name", parametersMap) };
+
+                            if (msg?.includeDSPState)
+                                message.dspState = wrapper.getState();
+
                             this.sendPatchMessage ({
                                 type: msg?.replyType,
-                                message: {
-                                    parameters: toParameterValuesWithKey ("name", parametersMap),
-                                },
+                                message,
                             });
                             break;
+                        }
 
                         case "send_full_state":
                         {
-                            const { parameters = [] } = e.data.payload?.value || [];
+                            const { parameters = [], dspState } = e.data.payload?.value || [];
+
+                            // N.B. the heap is restored first, so that the parameter values below win
+                            if (dspState)
+                            {
+                                try
+                                {
+                                    wrapper.restoreState (dspState);
+                                }
+                                catch (error)
+                                {
+                                    this.sendPatchMessage ({ type: "dsp_state_error", message: { error: error?.message ?? String (error) } });
+                                }
+                            }
 
                             for (const [endpointID, parameter] of Object.entries (parametersMap))
                             {
@@ -372,11 +1169,13 @@ function registerWorkletProcessor (workletName, WrapperClass)
                                 if (! listeners)
                                     return false;
 
-                                return listeners.push ({ replyType: msg?.replyType }) > 0;
+                                return listeners.push ({ replyType: msg?.replyType, listenerID: msg?.listenerID }) > 0;
                             };
 
-                            if (! insertIfValidEndpoint (inputEventListeners, msg))
-                                insertIfValidEndpoint (outputEventListeners, msg)
+                            if (! insertIfValidEndpoint (inputEventListeners, msg)
+                                 && ! insertIfValidEndpoint (outputEventListeners, msg)
+                                 && ! inputStreamListeners.add (msg))
+                                outputStreamListeners.add (msg);
 
                             break;
                         }
@@ -391,7 +1190,7 @@ function registerWorkletProcessor (workletName, WrapperClass)
                                 if (! listeners)
                                     return false;
 
-                                const index = listeners.indexOf (msg?.replyType);
+                                const index = listeners.findIndex (({ replyType }) => replyType === msg?.replyType);
 
                                 if (index === -1)
                                     return false;
@@ -399,8 +1198,10 @@ function registerWorkletProcessor (workletName, WrapperClass)
                                 return listeners.splice (index, 1).length === 1;
                             };
 
-                            if (! removeIfValidReplyType (inputEventListeners, msg))
-                                removeIfValidReplyType (outputEventListeners, msg)
+                            if (! removeIfValidReplyType (inputEventListeners, msg)
+                                 && ! removeIfValidReplyType (outputEventListeners, msg)
+                                 && ! inputStreamListeners.remove (msg))
+                                outputStreamListeners.remove (msg);
 
                             break;
                         }
@@ -410,12 +1211,12 @@ function registerWorkletProcessor (workletName, WrapperClass)
                     }
                 });
 
-                this.port.postMessage ({ type: "initialised" });
+                this.port.postMessage ({ type: "initialised", dspMemorySize: wrapper.byteMemory.length });
                 this.port.start();
             }
             catch (e)
             {
-                this.port.postMessage (e.toString());
+                this.reportInitialisationError ("initialise-failed", e?.message ?? String (e));
             }
         }
     }
@@ -423,6 +1224,74 @@ function registerWorkletProcessor (workletName, WrapperClass)
     registerProcessor (workletName, WorkletProcessor);
 }
 
+//==============================================================================
+/**  The error that createAudioWorkletNode() rejects with if the patch can't be started.
+ *
+ *   Its `code` property is one of:
+ *    - "wasm-compile": the patch's webassembly couldn't be compiled or instantiated
+ *    - "invalid-sample-rate": the audio context's sample rate isn't usable
+ *    - "endpoint-mismatch": the node's inputs and outputs don't match the patch's audio endpoints
+ *    - "initialise-failed": the patch failed to initialise for some other reason
+ *    - "timeout": the worklet didn't report back within the allowed time
+ *
+ *   If the node was created, it's available as the error's `node` property. A PatchConnection
+ *   attached to that node will receive a status containing an `error` property.
+ */
+export class WorkletInitialisationError extends Error
+{
+    constructor (code, message, node)
+    {
+        super (message);
+
+        this.name = "WorkletInitialisationError";
+        this.code = code;
+        this.node = node;
+    }
+}
+
+//==============================================================================
+/**  Sets each of a patch's parameters to its initial value, in the same way that the
+ *   audio worklet does when it starts. Use this after initialising an instance of the
+ *   generated class directly (e.g. to render offline), because the class itself leaves
+ *   the parameters at zero.
+ *
+ *   @param {Object} wrapper - an initialised instance of the generated Cmajor class
+ *   @param {number} frequency - the frequency in Hz that the instance was initialised with
+ *   @param {Object} [initialValueOverrides] - values to use instead of the `init` annotations,
+ *                                             keyed by endpoint ID
+ */
+export function applyInitialParameterValues (wrapper, frequency, initialValueOverrides = {})
+{
+    const inputParameters = wrapper.getInputEndpoints().filter (({ purpose }) => purpose === "parameter");
+
+    for (const { initialise } of Object.values (makeEndpointMap (wrapper, inputParameters, initialValueOverrides, frequency)))
+        initialise();
+}
+
+//==============================================================================
+/**  Returns a description of how a patch's audio endpoints map onto the inputs and
+ *   outputs of the AudioWorkletNode that createAudioWorkletNode() creates for it.
+ *
+ *   Every `audio in` endpoint gets its own node input, and every `audio out` endpoint
+ *   its own node output, in the order that the patch declares them. The result has
+ *   `inputs` and `outputs` arrays of objects with the properties `endpointID`, `index`
+ *   (the node input or output number) and `numChannels`. The same object is attached
+ *   to the node as `node.audioEndpointMapping` and is included in status messages.
+ *
+ *   @param {Object} WrapperClass - the generated Cmajor class
+ */
+export function getAudioEndpointMapping (WrapperClass)
+{
+    const toMapping = (endpoints, purpose) => endpoints.filter (e => e.purpose === purpose)
+                                                       .map (({ endpointID, numAudioChannels }, index) =>
+                                                                 ({ endpointID, index, numChannels: numAudioChannels }));
+
+    return {
+        inputs:  toMapping (WrapperClass.prototype.getInputEndpoints(), "audio in"),
+        outputs: toMapping (WrapperClass.prototype.getOutputEndpoints(), "audio out"),
+    };
+}
+
 //==============================================================================
 /**  Creates an AudioWorkletNode that contains the
  *
@@ -432,56 +1301,111 @@ function registerWorkletProcessor (workletName, WrapperClass)
  *   @param {number} sessionID - an integer to use for the session ID
  *   @param {Array} patchInputList - a list of the input endpoints that the patch provides
  *   @param {Object} initialValueOverrides - optional initial values for parameter endpoints
+ *   @param {Object} options - optional extra settings for the worklet:
+ *   @param {WebAssembly.Module} options.wasmModule - a pre-compiled module for the patch. If this is
+ *                     provided, the processor instantiates it instead of compiling its embedded bytes.
+ *   @param {boolean} options.useSharedMemoryTransport - if true, and the page is cross-origin isolated
+ *                     (which SharedArrayBuffer requires), parameter changes and events are exchanged
+ *                     through lock-free shared buffers instead of the message port.
+ *   @param {number} options.initialisationTimeoutMs - how long to wait for the worklet to start before
+ *                     giving up (default 10000). Pass 0 to wait indefinitely.
+ *   @param {string} options.workletLoadingMode - how the processor's code is given to the audio context:
+ *                     "data-uri" (the default) serialises it into a data: URI, "blob" serialises it into a
+ *                     Blob URL, and "module" loads the module file given by options.workletModuleURL, which
+ *                     works under a strict Content-Security-Policy that doesn't allow data: or blob: scripts.
+ *   @param {string|URL} options.workletModuleURL - the module to load in "module" mode. This should call
+ *                     registerWorkletProcessorFromModule() with the patch's class.
+ *   @param {Object} options.outputSafety - settings for the check that stops non-finite samples, extreme
+ *                     peaks or large DC offsets reaching the output. See AudioWorkletPatchConnection's
+ *                     setOutputSafetyOptions() for the properties.
+ *   @returns {Promise<AudioWorkletNode>} the node. If the patch can't be started, the promise is
+ *                     rejected with a WorkletInitialisationError.
  */
 export async function createAudioWorkletNode (WrapperClass,
                                               audioContext,
                                               workletName,
                                               sessionID,
-                                              initialValueOverrides)
+                                              initialValueOverrides,
+                                              options = {})
 {
-    const dataURI = await serialiseWorkletProcessorFactoryToDataURI (WrapperClass, workletName);
-    await audioContext.audioWorklet.addModule (dataURI);
+    await addWorkletModule (audioContext, WrapperClass, workletName, options);
 
-    const audioInputEndpoints  = WrapperClass.prototype.getInputEndpoints().filter (({ purpose }) => purpose === "audio in");
-    const audioOutputEndpoints = WrapperClass.prototype.getOutputEndpoints().filter (({ purpose }) => purpose === "audio out");
+    const audioEndpointMapping = getAudioEndpointMapping (WrapperClass);
+    const { inputs: audioInputs, outputs: audioOutputs } = audioEndpointMapping;
 
-    // N.B. we just take the first for now (and do the same in the processor too).
-    // we can do better, and should probably align with something similar to what the patch player does
-    const pickFirstEndpointChannelCount = (endpoints) => endpoints.length ? endpoints[0].numAudioChannels : 0;
+    // N.B. a node has a single channelCount for all its inputs, so use the widest one,
+    // and let each endpoint's wrapper method deal with any extra channels
+    const inputChannelCount = Math.max (0, ...audioInputs.map (({ numChannels }) => numChannels));
 
-    const inputChannelCount = pickFirstEndpointChannelCount (audioInputEndpoints);
-    const outputChannelCount = pickFirstEndpointChannelCount (audioOutputEndpoints);
-
-    const hasInput = inputChannelCount > 0;
-    const hasOutput = outputChannelCount > 0;
+    const canUseSharedMemory = globalThis.crossOriginIsolated && typeof SharedArrayBuffer === "function";
+    const sharedQueues = (options.useSharedMemoryTransport && canUseSharedMemory)
+                            ? { toProcessor: SharedRecordQueue.create (1024), fromProcessor: SharedRecordQueue.create (4096) }
+                            : undefined;
 
     const node = new AudioWorkletNode (audioContext, workletName, {
-        numberOfInputs: +hasInput,
-        numberOfOutputs: +hasOutput,
+        numberOfInputs: audioInputs.length,
+        numberOfOutputs: audioOutputs.length,
         channelCountMode: "explicit",
-        channelCount: hasInput ? inputChannelCount : undefined,
-        outputChannelCount: hasOutput ? [outputChannelCount] : [],
+        channelCount: inputChannelCount > 0 ? inputChannelCount : undefined,
+        outputChannelCount: audioOutputs.map (({ numChannels }) => numChannels),
 
         processorOptions:
         {
             sessionID,
-            initialValueOverrides
+            initialValueOverrides,
+            wasmModule: options.wasmModule,
+            audioEndpointMapping,
+            outputSafety: options.outputSafety,
+            sharedQueueBuffers: sharedQueues && { toProcessor:   sharedQueues.toProcessor.buffer,
+                                                  fromProcessor: sharedQueues.fromProcessor.buffer }
         }
     });
 
+    node.audioEndpointMapping = audioEndpointMapping;
+
+    if (sharedQueues)
+    {
+        node.sharedTransport = {
+            ...sharedQueues,
+            inputEndpointIDs: WrapperClass.prototype.getInputEndpoints().map (({ endpointID }) => endpointID),
+        };
+    }
+
     const waitUntilWorkletInitialised = async () =>
     {
-        return new Promise ((resolve) =>
+        const timeoutMs = options.initialisationTimeoutMs ?? 10000;
+
+        return new Promise ((resolve, reject) =>
         {
+            let timer;
+
+            const finish = (error) =>
+            {
+                clearTimeout (timer);
+                node.port.removeEventListener ("message", filterForInitialised);
+
+                if (error)
+                    reject (error);
+                else
+                    resolve();
+            };
+
             const filterForInitialised = (e) =>
             {
                 if (e.data.type === "initialised")
                 {
-                    node.port.removeEventListener ("message", filterForInitialised);
-                    resolve();
+                    // N.B. DSP state snapshots are checked against this before they're sent to the worklet
+                    node.dspMemorySize = e.data.dspMemorySize;
+                    finish();
                 }
+                else if (e.data.type === "initialisation_error")
+                    finish (new WorkletInitialisationError (e.data.code, e.data.message, node));
             };
 
+            if (timeoutMs > 0)
+                timer = setTimeout (() => finish (new WorkletInitialisationError ("timeout", `The worklet didn't initialise within ${timeoutMs}ms`, node)),
+                                    timeoutMs);
+
             node.port.addEventListener ("message", filterForInitialised);
         });
     };
@@ -493,18 +1417,47 @@ export async function createAudioWorkletNode (WrapperClass,
     return node;
 }
 
+// endpoint listener IDs run from 1 to this, so that they fit in the 16-bit ID field of a SharedRecordQueue record
+const maxEndpointListenerID = 0xffff;
+
 //==============================================================================
 /**  This class provides a PatchConnection that controls a Cmajor audio worklet
  *   node.
  */
 export class AudioWorkletPatchConnection extends PatchConnection
 {
-    constructor (audioNode, manifest)
+    /** @param {AudioWorkletNode} audioNode - the node that was created by createAudioWorkletNode()
+     *  @param {Object} manifest - the patch's manifest
+     *  @param {Object} [options]
+     *  @param {string} [options.wasmHash] - a hash identifying the patch's webassembly build, which is
+     *                                       used to tag DSP state snapshots (see requestFullStoredState())
+     *  @param {string|URL} [options.resourceBaseURL] - the URL of the folder containing the patch's files,
+     *                                       which getResourceAddress() resolves paths against. If this
+     *                                       isn't given, paths are treated as relative to the server's root.
+     */
+    constructor (audioNode, manifest, { wasmHash, resourceBaseURL } = {})
     {
         super();
 
         this.manifest = manifest;
         this.audioNode = audioNode;
+        this.wasmHash = wasmHash;
+        this.resourceBaseURL = resourceBaseURL;
+
+        // N.B. endpoint listeners are given numeric IDs, so that their events can be sent as raw records
+        this.endpointListenerReplyTypes = new Map();
+        this.nextEndpointListenerID = 1;
+
+        // min/max stream data arrives as one record per channel, so is assembled here
+        this.pendingStreamMinMax = new Map();
+
+        this.dspMemorySize = audioNode.dspMemorySize;
+        this.sharedTransport = audioNode.sharedTransport;
+        this.portMessageSequence = 0;
+        this.isPortBarrierNeeded = false;
+
+        if (this.sharedTransport)
+            this.sharedTransportTimer = setInterval (() => this.readSharedTransport(), 10);
 
         audioNode.port.addEventListener ("message", e =>
         {
@@ -522,9 +1475,50 @@ export class AudioWorkletPatchConnection extends PatchConnection
         this.cachedState = {};
     }
 
+    /** Stops the timer that polls the shared-memory transport, if there is one. */
+    dispose()
+    {
+        if (this.sharedTransportTimer)
+        {
+            clearInterval (this.sharedTransportTimer);
+            this.sharedTransportTimer = undefined;
+        }
+    }
+
     sendMessageToServer (msg)
     {
-        this.audioNode.port.postMessage ({ type: "patch", payload: msg });
+        if (msg.type === "add_endpoint_listener")
+        {
+            const listenerID = this.allocateEndpointListenerID();
+            this.endpointListenerReplyTypes.set (listenerID, msg.replyType);
+            msg = { ...msg, listenerID };
+        }
+        else if (msg.type === "remove_endpoint_listener")
+        {
+            for (const [listenerID, replyType] of this.endpointListenerReplyTypes)
+            {
+                if (replyType === msg.replyType)
+                {
+                    this.endpointListenerReplyTypes.delete (listenerID);
+                    this.pendingStreamMinMax.delete (listenerID);
+                }
+            }
+        }
+        else if (msg.type === "send_value" && this.sendValueThroughSharedTransport (msg))
+        {
+            return;
+        }
+
+        if (this.sharedTransport)
+        {
+            // N.B. the worklet reads port messages and the shared queue separately, so to stop a value that's
+            // queued after this message from overtaking it, the next queued record is a barrier which holds
+            // back the rest of the queue until this message has arrived (see sendValueThroughSharedTransport)
+            this.portMessageSequence = (this.portMessageSequence + 1) | 0;
+            this.isPortBarrierNeeded = true;
+        }
+
+        this.audioNode.port.postMessage ({ type: "patch", payload: msg, sequence: this.portMessageSequence });
     }
 
     requestStoredStateValue (key)
@@ -553,8 +1547,32 @@ export class AudioWorkletPatchConnection extends PatchConnection
         }
     }
 
-    sendFullStoredState (fullState)
+    /** Applies a complete stored state to the patch.
+     *
+     *  If the state contains a `dspState` snapshot (see requestFullStoredState()) and the
+     *  includeDSPState option is set, the patch's DSP is restored to exactly that point.
+     *  This throws an Error if the snapshot came from an incompatible build of the patch, or
+     *  doesn't match the size of the worklet's heap. If the worklet still can't restore it,
+     *  the parameters are applied anyway, and a "dsp_state_error" event is dispatched with an
+     *  object whose `error` property describes the problem.
+     *
+     *  @param {Object} fullState
+     *  @param {Object} [options]
+     *  @param {boolean} [options.includeDSPState] - if true, restore the DSP state as well
+     */
+    sendFullStoredState (fullState, { includeDSPState = false } = {})
     {
+        const { dspState, ...stateWithoutDSP } = fullState;
+        let stateToSend = stateWithoutDSP;
+
+        if (includeDSPState && dspState)
+        {
+            // N.B. if the node didn't report its heap size, a mismatch is caught by the worklet instead
+            const memorySize = this.dspMemorySize ?? dspState.memorySize;
+            const memory = decodeStateSnapshot (dspState, { ...this.getDSPStateTags(), memorySize });
+            stateToSend = { ...stateWithoutDSP, dspState: { memory } };
+        }
+
         const currentStateCleared = (() =>
         {
             const out = {};
@@ -567,72 +1585,224 @@ export class AudioWorkletPatchConnection extends PatchConnection
 
         Object.entries (nextStateValues).forEach (([key, value]) => this.sendStoredStateValue (key, value));
 
-        // N.B. worklet will handle the `parameters` part
-        super.sendFullStoredState (fullState);
+        // N.B. worklet will handle the `parameters` and `dspState` parts
+        super.sendFullStoredState (stateToSend);
     }
 
-    requestFullStoredState (callback)
+    /** Asynchronously requests the full stored state of the patch.
+     *
+     *  If the includeDSPState option is set, the state will also contain a `dspState` property
+     *  holding a JSON-serialisable snapshot of the patch's DSP (including the playback position
+     *  of its sequencers), which can be passed back to sendFullStoredState() later.
+     *
+     *  @param {Function} callback - this will be called with the state as its argument
+     *  @param {Object} [options]
+     *  @param {boolean} [options.includeDSPState] - if true, a snapshot of the DSP state is included
+     */
+    requestFullStoredState (callback, { includeDSPState = false } = {})
     {
-        // N.B. the worklet only handles the `parameters` part, so we patch the key-value state in here
-        super.requestFullStoredState (msg => callback ({ values: { ...this.cachedState }, ...msg }));
+        const replyType = "fullstate_response_" + (Math.floor (Math.random() * 100000000)).toString();
+
+        // N.B. the worklet only handles the `parameters` and `dspState` parts, so we patch the key-value state in here
+        this.addSingleUseListener (replyType, msg =>
+        {
+            const { dspState, ...rest } = msg;
+            const state = { values: { ...this.cachedState }, ...rest };
+
+            if (dspState?.memory)
+                state.dspState = createStateSnapshot (dspState.memory, this.getDSPStateTags());
+
+            callback (state);
+        });
+
+        this.sendMessageToServer ({ type: "req_full_state", replyType, includeDSPState });
     }
 
-    getResourceAddress (path)
+    //==============================================================================
+    // CPU level monitoring methods:
+
+    /** Attaches a listener function which will be sent messages containing CPU info.
+     *  The listener's argument has a `level` property, which is the time spent rendering
+     *  the patch as a proportion of the time available (so values near 1.0 mean that the
+     *  audio is about to glitch). To remove the listener, call `removeCPUListener()`. To
+     *  change the rate of these messages, use `setCPULevelUpdateRate()`.
+     */
+    addCPUListener (listener)                       { this.addEventListener    ("cpu_info", listener); this.updateCPULevelUpdateRate(); }
+
+    /** Removes a listener that was previously attached with `addCPUListener()`. */
+    removeCPUListener (listener)                    { this.removeEventListener ("cpu_info", listener); this.updateCPULevelUpdateRate(); }
+
+    /** Changes the frequency at which CPU level update messages are sent to listeners. */
+    setCPULevelUpdateRate (framesPerUpdate)         { this.cpuFramesPerUpdate = framesPerUpdate; this.updateCPULevelUpdateRate(); }
+
+    /** @private */
+    updateCPULevelUpdateRate()
     {
-        return path.startsWith ("/") ? path : ("/" + path);
+        const rate = this.getNumListenersForType ("cpu_info") > 0 ? (this.cpuFramesPerUpdate || 15000) : 0;
+        this.sendMessageToServer ({ type: "set_cpu_info_rate",
+                                    framesPerCallback: rate });
     }
-}
 
+    //==============================================================================
+    // Output safety methods:
+
+    /** Attaches a listener which is called if the patch's output is muted or limited because it
+     *  produced non-finite samples, an extreme peak or a large DC offset. The listener's argument
+     *  has the properties `reason` ("non-finite", "peak" or "dc"), `endpointID` (the audio output
+     *  involved) and `muted`. Once muted, the output stays silent until resetOutputSafety() or
+     *  resetToInitialState() is called. After non-finite samples, the patch's own state is
+     *  probably corrupt, so resetToInitialState() is the better choice.
+     */
+    addOutputSafetyListener (listener)              { this.addEventListener    ("output_safety_triggered", listener); }
+
+    /** Removes a listener that was previously attached with `addOutputSafetyListener()`. */
+    removeOutputSafetyListener (listener)           { this.removeEventListener ("output_safety_triggered", listener); }
+
+    /** Un-mutes the output after the safety check has been triggered. */
+    resetOutputSafety()                             { this.sendMessageToServer ({ type: "reset_output_safety" }); }
+
+    /** Changes the settings for the output safety check.
+     *  @param {Object} options
+     *  @param {string} [options.mode] - "mute" (the default) silences the output when there's a problem,
+     *                                   "limit" passes it through a soft limiter instead (but still mutes
+     *                                   for non-finite samples or DC), and "off" disables the check
+     *  @param {number} [options.peakLimit] - the absolute sample value that counts as an extreme peak (default 4)
+     *  @param {number} [options.dcLimit] - the DC offset, averaged over about half a second, that triggers
+     *                                      the check (default 0.5)
+     */
+    setOutputSafetyOptions (options)                { this.sendMessageToServer ({ type: "set_output_safety", options }); }
 
-//==============================================================================
-async function connectToAudioIn (audioContext, node)
-{
-    try
+    getResourceAddress (path)
     {
-        const input = await navigator.mediaDevices.getUserMedia ({
-            audio: {
-                echoCancellation: false,
-                noiseSuppression: false,
-                autoGainControl:  false,
-        }});
+        // N.B. a leading slash means the root of the patch, not of the server
+        if (this.resourceBaseURL)
+            return new URL (path.replace (/^\/+/, ""), this.resourceBaseURL).href;
 
-        if (! input)
-            throw new Error();
+        return path.startsWith ("/") ? path : ("/" + path);
+    }
 
-        const source = audioContext.createMediaStreamSource (input);
+    /** @private */
+    allocateEndpointListenerID()
+    {
+        // N.B. IDs are handed out in rotation, so that an ID isn't re-used while records for
+        // a listener that has just been removed may still be in the shared queue
+        for (let i = 0; i < maxEndpointListenerID; ++i)
+        {
+            const listenerID = this.nextEndpointListenerID;
+            this.nextEndpointListenerID = (listenerID % maxEndpointListenerID) + 1;
 
-        if (! source)
-            throw new Error();
+            if (! this.endpointListenerReplyTypes.has (listenerID))
+                return listenerID;
+        }
 
-        source.connect (node);
-    }
-    catch (e)
-    {
-        console.warn (`Could not open audio input`);
+        throw new Error (`Too many endpoint listeners: the limit is ${maxEndpointListenerID}`);
     }
-}
 
-async function connectToMIDI (connection)
-{
-    try
+    /** @private */
+    sendValueThroughSharedTransport ({ id, value, rampFrames, timestamp })
     {
-        if (! navigator.requestMIDIAccess)
-            throw new Error ("Web MIDI API not supported.");
+        // N.B. the shared records have no room for a timestamp, so scheduled values use the port
+        if (! this.sharedTransport || typeof value !== "number" || timestamp != null)
+            return false;
+
+        const endpointIndex = this.sharedTransport.inputEndpointIDs.indexOf (id);
+
+        if (endpointIndex < 0)
+            return false;
 
-        const midiAccess = await navigator.requestMIDIAccess();
+        const { toProcessor } = this.sharedTransport;
 
-        for (const input of midiAccess.inputs.values())
+        if (this.isPortBarrierNeeded)
         {
-            input.onmidimessage = ({ data }) =>
-                connection.sendMIDIInputEvent ("midiIn", data[2] | (data[1] << 8) | (data[0] << 16));
+            if (! toProcessor.push (SharedRecordQueue.recordTypes.portBarrier, 0, this.portMessageSequence, 0))
+                return false;
+
+            this.isPortBarrierNeeded = false;
         }
+
+        return toProcessor.push (SharedRecordQueue.recordTypes.sendValue, endpointIndex, rampFrames ?? -1, value);
+    }
+
+    /** @private */
+    readSharedTransport()
+    {
+        const { parameterValue, eventValue, eventMIDI, streamMinMax } = SharedRecordQueue.recordTypes;
+
+        this.sharedTransport.fromProcessor.drain ((queue, slot) =>
+        {
+            switch (queue.getType (slot))
+            {
+                case parameterValue:
+                {
+                    const endpointID = this.sharedTransport.inputEndpointIDs[queue.getID (slot)];
+                    this.deliverMessageFromServer ({ type: "param_value", message: { endpointID, value: queue.getValue (slot) } });
+                    break;
+                }
+
+                case eventValue:
+                case eventMIDI:
+                {
+                    const replyType = this.endpointListenerReplyTypes.get (queue.getID (slot));
+
+                    if (replyType)
+                    {
+                        const value = queue.getType (slot) === eventMIDI ? { message: queue.getValue (slot) } : queue.getValue (slot);
+                        const frameOffset = queue.getAux (slot);
+
+                        const details = frameOffset < 0 ? undefined
+                                                        : { frameOffset, frame: queue.getFrame (slot), typeIndex: queue.getExtra (slot) };
+
+                        this.deliverMessageFromServer ({ type: replyType, message: value, details });
+                    }
+
+                    break;
+                }
+
+                case streamMinMax:
+                {
+                    const listenerID = queue.getID (slot);
+                    const channel = queue.getAux (slot);
+                    const numChannels = queue.getExtra (slot);
+
+                    let pending = this.pendingStreamMinMax.get (listenerID);
+
+                    if (channel === 0 || ! pending)
+                    {
+                        pending = { min: new Array (numChannels), max: new Array (numChannels) };
+                        this.pendingStreamMinMax.set (listenerID, pending);
+                    }
+
+                    pending.min[channel] = queue.getFloat1 (slot);
+                    pending.max[channel] = queue.getFloat2 (slot);
+
+                    if (channel === numChannels - 1)
+                    {
+                        this.pendingStreamMinMax.delete (listenerID);
+
+                        const replyType = this.endpointListenerReplyTypes.get (listenerID);
+
+                        if (replyType)
+                            this.deliverMessageFromServer ({ type: replyType, message: pending });
+                    }
+
+                    break;
+                }
+
+                default:
+                    break;
+            }
+        });
     }
-    catch (e)
+
+    /** @private */
+    getDSPStateTags()
     {
-        console.warn (`Could not open MIDI devices: ${e}`);
+        return { patchID: this.manifest?.ID, patchVersion: this.manifest?.version, wasmHash: this.wasmHash };
     }
 }
 
+
+//==============================================================================
 /**  Takes an audio node and connection that were returned by `createAudioWorkletNodePatchConnection()`
  *   and attempts to hook them up to the default audio and MIDI channels.
  *
@@ -640,8 +1810,15 @@ async function connectToMIDI (connection)
  *   @param {PatchConnection} connection - the PatchConnection object created by `createAudioWorkletNodePatchConnection()`
  *   @param {AudioContext} audioContext - a web audio AudioContext object
  *   @param {Array} patchInputList - a list of the input endpoints that the patch provides
+ *   @param {Array} [patchOutputList] - a list of the output endpoints that the patch provides
+ *   @returns {Object} an object with the properties `midiInputManager` (the MIDIInputManager that
+ *                     feeds the patch's MIDI inputs and clock follower), `midiOutputManager` (the MIDIOutputManager that
+ *                     sends its MIDI outputs to devices), `midiClockFollower` (the MIDIClockFollower that
+ *                     drives its tempo, transport state and timeline position inputs from the incoming MIDI
+ *                     clock) and `audioInputManager` (the AudioInputManager that feeds its audio inputs).
+ *                     Each is undefined if the patch has no endpoints of that kind.
  */
-export async function connectDefaultAudioAndMIDI ({ node, connection, audioContext, patchInputList })
+export async function connectDefaultAudioAndMIDI ({ node, connection, audioContext, patchInputList, patchOutputList = [] })
 {
     function hasInputWithPurpose (purpose)
     {
@@ -652,11 +1829,55 @@ export async function connectDefaultAudioAndMIDI ({ node, connection, audioConte
         return false;
     }
 
-    if (hasInputWithPurpose ("midi in"))
-        connectToMIDI (connection);
+    const getEndpointIDsWithPurpose = (endpoints, purpose) => endpoints.filter (e => e.purpose === purpose).map (e => e.endpointID);
+
+    let midiInputManager, midiOutputManager, midiClockFollower;
+
+    const canFollowMIDIClock = hasInputWithPurpose ("tempo") || hasInputWithPurpose ("transport state") || hasInputWithPurpose ("timeline position");
+
+    if (hasInputWithPurpose ("midi in") || canFollowMIDIClock)
+    {
+        // N.B. a patch that only follows the clock has no MIDI inputs, so nothing is forwarded to it
+        const endpointIDs = getEndpointIDsWithPurpose (patchInputList, "midi in");
+        midiInputManager = new MIDIInputManager ({ connection, audioContext, endpointIDs });
+
+        if (canFollowMIDIClock)
+        {
+            midiClockFollower = new MIDIClockFollower ({
+                connection,
+                tempoEndpointID:          getEndpointIDsWithPurpose (patchInputList, "tempo")[0],
+                transportStateEndpointID: getEndpointIDsWithPurpose (patchInputList, "transport state")[0],
+                positionEndpointID:       getEndpointIDsWithPurpose (patchInputList, "timeline position")[0],
+            });
+
+            midiInputManager.addMIDIMessageListener (({ message, timeStamp, audioContextTime }) =>
+                midiClockFollower.handleMIDIMessage (message, timeStamp, audioContextTime));
+        }
+
+        midiInputManager.open().catch (e => console.warn (`Could not open MIDI devices: ${e}`));
+    }
+
+    const midiOutputEndpointIDs = getEndpointIDsWithPurpose (patchOutputList, "midi out");
+
+    if (midiOutputEndpointIDs.length > 0)
+    {
+        midiOutputManager = new MIDIOutputManager ({ connection, audioContext, endpointIDs: midiOutputEndpointIDs });
+
+        midiOutputManager.open().catch (e => console.warn (`Could not open MIDI devices: ${e}`));
+    }
+
+    let audioInputManager;
 
     if (hasInputWithPurpose ("audio in"))
-        connectToAudioIn (audioContext, node);
+    {
+        audioInputManager = new AudioInputManager ({ audioContext, node });
+
+        for (const { endpointID } of node.audioEndpointMapping.inputs)
+            audioInputManager.setAudioInputSource (endpointID, false).catch (e => console.warn (`Could not open audio input: ${e}`));
+    }
+
+    for (let output = 0; output < node.numberOfOutputs; ++output)
+        node.connect (audioContext.destination, output);
 
-    node.connect (audioContext.destination);
+    return { midiInputManager, midiOutputManager, midiClockFollower, audioInputManager };
 }
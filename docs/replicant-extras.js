@@ -0,0 +1,555 @@
+//==============================================================================
+//
+//  Hand-written additions to the web export of the Cmajor patch
+//  'replicant.cmajorpatch'.
+//
+//  Replicant.js is generated by the Cmajor toolkit, so to let it be regenerated
+//  without losing anything, the code that builds on it lives here instead (see
+//  tools/update-web-export.mjs). This module re-exports everything that a page
+//  needs from Replicant.js, so it can be imported in place of that file.
+//
+//==============================================================================
+
+import * as helpers from "./cmaj_api/cmaj_audio_worklet_helper.js"
+import * as wavFile from "./cmaj_api/cmaj-wav-file.js"
+import * as stateSnapshots from "./cmaj_api/cmaj-state-snapshot.js"
+import { Replicant, manifest, getInputEndpoints, getOutputEndpoints, wasmHash } from "./Replicant.js"
+
+export { Replicant, manifest, getInputEndpoints, getOutputEndpoints }
+
+// N.B. the tempo and steps per quarter note mirror `defaultTempo` and `stepsPerQuarterNote` in replicant.cmajor.
+// Bars and beats are in the units that bounceToWav() has always used: a beat is one step, which lasts
+// sampleRate / 9 frames at the default tempo (the original patch's `clock`), and a bar is four beats.
+const defaultTempo = 135, stepsPerQuarterNote = 4, stepsPerBeat = 1, stepsPerBar = 4;
+
+
+//==============================================================================
+/**  Creates an audio worklet node for the patch with the given name, attaches it
+ *   to the audio context provided, and returns an object containing the node
+ *   and a PatchConnection class to control it.
+ *
+ *   The patch's webassembly is compiled once on the main thread (see `compileWasmModule()`)
+ *   and the compiled module is handed to the worklet, rather than each worklet having to
+ *   instantiate it from the raw bytes.
+ *
+ *   @param {AudioContext} audioContext - a web audio AudioContext object
+ *   @param {string} workletName - the name to give the new worklet that is created
+ *   @param {Object} [options]
+ *   @param {string|URL|null} [options.wasmURL] - the location of the patch's .wasm file. This defaults
+ *                                                to the Replicant.wasm file next to this module. Pass
+ *                                                null to always use the copy embedded in Replicant.js.
+ *   @param {boolean} [options.useSharedMemoryTransport] - if true, and the page is cross-origin isolated,
+ *                                                parameter changes and events are exchanged with the
+ *                                                worklet through SharedArrayBuffers instead of its port
+ *   @param {number} [options.initialisationTimeoutMs] - how long to wait for the worklet to start (default 10000)
+ *   @param {Object} [options.outputSafety] - settings for the worklet's output safety check, as described
+ *                                            for `AudioWorkletPatchConnection.setOutputSafetyOptions()`
+ *   @param {string} [options.workletLoadingMode] - how the worklet's code is loaded: "data-uri" (the default),
+ *                                                "blob", or "module", which loads Replicant-worklet.js by URL
+ *                                                so that it works under a strict Content-Security-Policy
+ *   @returns {Object} an object containing the new AudioWorkletNode and PatchConnection. The connection
+ *                     also has the transport methods described for `addTransportMethods()`. If the patch
+ *                     can't be started, this throws a `helpers.WorkletInitialisationError`.
+ */
+export async function createAudioWorkletNodePatchConnection (audioContext, workletName,
+                                                             { wasmURL, useSharedMemoryTransport, initialisationTimeoutMs, outputSafety,
+                                                               workletLoadingMode } = {})
+{
+  const wasmModule = await compileWasmModule (wasmURL).catch (error =>
+  {
+    throw new helpers.WorkletInitialisationError ("wasm-compile", `Could not compile the patch's webassembly: ${error?.message ?? error}`);
+  });
+
+  const node = await helpers.createAudioWorkletNode (Replicant, audioContext, workletName, Date.now() & 0x7fffffff, {},
+                                                     { wasmModule, useSharedMemoryTransport, initialisationTimeoutMs, outputSafety,
+                                                       workletLoadingMode,
+                                                       workletModuleURL: new URL ("./Replicant-worklet.js", import.meta.url) });
+  const connection = new helpers.AudioWorkletPatchConnection (node, manifest, { wasmHash: getWasmHash(),
+                                                                               resourceBaseURL: new URL (".", import.meta.url) });
+  addTransportMethods (connection);
+
+  if (manifest.worker?.length > 0)
+  {
+    connection.readResource = (path) => readResource (connection, path);
+    connection.readResourceAsAudioData = (path) => readResourceAsAudioData (connection, audioContext, path);
+
+    import (manifest.worker).then (module =>
+    {
+      module.default (connection);
+    });
+  }
+
+  return { node, connection };
+}
+
+//==============================================================================
+/**  Adds methods to a PatchConnection that control the patch's sequencer:
+ *
+ *   - `play()` starts playing from the current position
+ *   - `pause()` stops playing, but keeps the current position
+ *   - `stop()` stops playing and returns to the start of the piece
+ *   - `locate (bar, beat)` moves to a position, which is played from if it's playing
+ *   - `addTransportListener (listener)` attaches a listener which is called with an object
+ *     with the properties `playing`, `step`, `bar` and `beat` whenever the sequencer starts
+ *     a step, starts, stops or is relocated
+ *   - `removeTransportListener (listener)` removes a listener added with addTransportListener()
+ *
+ *   Bars and beats are counted from 1, and in the same units as `bounceToWav()`: a beat is
+ *   one of the sequencer's steps, and a bar is four of them.
+ *
+ *   If Replicant.js was generated from a version of the patch without the transport
+ *   endpoints, these methods throw an Error rather than sending to endpoints that
+ *   don't exist.
+ *
+ *   @access private
+ */
+function addTransportMethods (connection)
+{
+  // N.B. this mirrors the flags of std::timeline::TransportState
+  const playingFlag = 1;
+  const transportListeners = new Map();
+
+  const sendPlaying = (shouldPlay) =>
+  {
+    checkEndpointsExist ("the transport", ["transportState", "position"], ["transportStatus"]);
+    connection.sendEventOrValue ("transportState", { flags: shouldPlay ? playingFlag : 0 });
+  };
+
+  const sendStep = (step) =>
+  {
+    checkEndpointsExist ("the transport", ["transportState", "position"], ["transportStatus"]);
+
+    const barStartStep = Math.floor (step / stepsPerBar) * stepsPerBar;
+
+    connection.sendEventOrValue ("position", { frameIndex: 0,
+                                               quarterNote: step / stepsPerQuarterNote,
+                                               barStartQuarterNote: barStartStep / stepsPerQuarterNote });
+  };
+
+  connection.play  = () => sendPlaying (true);
+  connection.pause = () => sendPlaying (false);
+  connection.stop  = () => { sendPlaying (false); sendStep (0); };
+
+  connection.locate = (bar, beat = 1) =>
+  {
+    const step = (bar - 1) * stepsPerBar + (beat - 1) * stepsPerBeat;
+
+    if (! (step >= 0))
+      throw new Error (`locate(): invalid position (bar ${bar}, beat ${beat})`);
+
+    sendStep (step);
+  };
+
+  connection.addTransportListener = (listener) =>
+  {
+    checkEndpointsExist ("the transport", ["transportState", "position"], ["transportStatus"]);
+
+    const endpointListener = ({ isPlaying, step }) => listener ({ playing: isPlaying, step,
+                                                                  bar:  Math.floor (step / stepsPerBar) + 1,
+                                                                  beat: Math.floor ((step % stepsPerBar) / stepsPerBeat) + 1 });
+    transportListeners.set (listener, endpointListener);
+    connection.addEndpointListener ("transportStatus", endpointListener);
+  };
+
+  connection.removeTransportListener = (listener) =>
+  {
+    const endpointListener = transportListeners.get (listener);
+
+    if (endpointListener)
+    {
+      transportListeners.delete (listener);
+      connection.removeEndpointListener ("transportStatus", endpointListener);
+    }
+  };
+}
+
+//==============================================================================
+/**  Throws an Error if the generated code in Replicant.js lacks any of the given
+ *   endpoints, which happens when it was generated from an older version of the patch.
+ *   @access private
+ */
+function checkEndpointsExist (feature, inputIDs, outputIDs = [])
+{
+  const missing = [...inputIDs .filter (id => ! getInputEndpoints() .some (e => e.endpointID === id)),
+                   ...outputIDs.filter (id => ! getOutputEndpoints().some (e => e.endpointID === id))];
+
+  if (missing.length > 0)
+    throw new Error (`Replicant.js was generated from a version of the patch without ${feature} `
+                       + `(missing endpoints: ${missing.join (", ")}). `
+                       + `Regenerate the web export as described in the README.`);
+}
+
+//==============================================================================
+/**  Fetches a file from the patch bundle, for use by a patch worker.
+ *   @access private
+ *   @returns {Promise<ArrayBuffer>} the content of the file
+ */
+async function readResource (connection, path)
+{
+  const address = connection.getResourceAddress (path);
+  const response = await fetch (address);
+
+  if (! response.ok)
+    throw new Error (`Could not read resource "${path}" (${response.status} ${response.statusText})`);
+
+  return await response.arrayBuffer();
+}
+
+/**  Fetches an audio file from the patch bundle and decodes it, for use by a patch worker.
+ *
+ *   WAV files are decoded directly, so that they keep their original sample rate. Any
+ *   other format is decoded by the browser, which resamples it to the context's rate.
+ *
+ *   @access private
+ *   @returns {Promise<Object>} an object with properties `channels` (an array of one
+ *                              Float32Array per channel), `sampleRate` and `numFrames`
+ */
+async function readResourceAsAudioData (connection, audioContext, path)
+{
+  const data = await readResource (connection, path);
+
+  if (wavFile.isWAVFile (data))
+    return wavFile.decodeWAVFile (data);
+
+  const buffer = await audioContext.decodeAudioData (data);
+  const channels = Array.from ({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData (i));
+
+  return { channels, sampleRate: buffer.sampleRate, numFrames: buffer.length };
+}
+
+//==============================================================================
+/** @access private */
+const compiledWasmModules = new Map();
+
+/**  Returns a promise for the patch's compiled WebAssembly.Module.
+ *
+ *   If a .wasm file can be fetched from the given URL, it's compiled with
+ *   `WebAssembly.compileStreaming()`, otherwise the bytes that are embedded in
+ *   Replicant.js are used instead. The fetched file is only used if it's the same
+ *   build as the embedded bytes, because the generated class relies on the layout of
+ *   that build's memory, and so that `getWasmHash()` always describes the code that's
+ *   running. The result is cached, so the module is only compiled once for each URL.
+ *
+ *   @param {string|URL|null} [wasmURL] - the location of the .wasm file. If this is undefined, the
+ *                                        Replicant.wasm next to this module is used. Pass null to skip
+ *                                        the fetch and just compile the embedded bytes.
+ *   @returns {Promise<WebAssembly.Module>}
+ */
+export function compileWasmModule (wasmURL)
+{
+  if (wasmURL === undefined)
+    wasmURL = new URL ("./Replicant.wasm", import.meta.url);
+
+  const key = wasmURL?.toString() ?? "";
+  let compiled = compiledWasmModules.get (key);
+
+  if (! compiled)
+  {
+    compiled = (wasmURL && typeof fetch === "function" && WebAssembly.compileStreaming)
+                  ? compileFetchedWasm (wasmURL).catch (compileEmbeddedWasm)
+                  : compileEmbeddedWasm();
+
+    compiledWasmModules.set (key, compiled);
+    compiled.catch (() => compiledWasmModules.delete (key));
+  }
+
+  return compiled;
+}
+
+/** @access private */
+async function compileFetchedWasm (wasmURL)
+{
+  const response = await fetch (wasmURL);
+
+  if (! response.ok)
+    throw new Error (`Could not fetch ${wasmURL} (${response.status} ${response.statusText})`);
+
+  // N.B. the bytes are hashed while they're compiled, so the download can still be streamed
+  const [wasmModule, bytes] = await Promise.all ([WebAssembly.compileStreaming (response.clone()),
+                                                  response.arrayBuffer()]);
+
+  if (stateSnapshots.hashBytes (new Uint8Array (bytes)) !== getWasmHash())
+  {
+    console.warn (`${wasmURL} doesn't match the webassembly in Replicant.js, so the embedded copy is being used instead`);
+    return compileEmbeddedWasm();
+  }
+
+  return wasmModule;
+}
+
+/** @access private */
+function compileEmbeddedWasm()
+{
+  return WebAssembly.compile (Replicant.prototype._getWasmBytes());
+}
+
+//==============================================================================
+/**  Takes an audio node and connection that were returned by `createAudioWorkletNodePatchConnection()`
+ *   and attempts to hook them up to the default audio and MIDI channels.
+ *
+ *   @param {AudioWorkletNode} node - the audio node
+ *   @param {PatchConnection} connection - the PatchConnection object created by `createAudioWorkletNodePatchConnection()`
+ *   @param {AudioContext} audioContext - a web audio AudioContext object
+ *   @returns {Object} an object containing the `midiInputManager` that can be used to choose
+ *                     which MIDI devices and channels are sent to the patch, the `midiOutputManager`
+ *                     that chooses the devices its MIDI output goes to, the `midiClockFollower` that
+ *                     syncs its sequencer to an incoming MIDI clock, and the `audioInputManager`
+ *                     that chooses the sources for its audio inputs
+ */
+export async function connectPatchToDefaultAudioAndMIDI (node, connection, audioContext)
+{
+  return helpers.connectDefaultAudioAndMIDI ({ node, connection, audioContext,
+                                              patchInputList: getInputEndpoints(),
+                                              patchOutputList: getOutputEndpoints() });
+}
+
+//==============================================================================
+/**  Renders the patch without any Web Audio objects, so that it can be run in
+ *   Node.js or in a test harness. A new processor instance is created for each
+ *   call, so the result always starts from the patch's initial state.
+ *
+ *   @param {Object} options
+ *   @param {number} options.sampleRate - the frequency in Hz at which to run the patch
+ *   @param {number} options.numFrames - the total number of frames to render
+ *   @param {number} [options.sessionID] - an integer to use for the session ID
+ *   @returns {Array<Float32Array>} one array of samples per output channel
+ */
+export async function renderOffline ({ sampleRate = 44100, numFrames, sessionID = Date.now() & 0x7fffffff } = {})
+{
+  if (! (numFrames > 0))
+    throw new Error ("renderOffline() requires a valid numFrames argument");
+
+  const processor = await createInitialisedProcessor (sampleRate, sessionID);
+
+  const channels = createOutputChannels (numFrames);
+  renderIntoChannels (processor, channels, 0, numFrames);
+  return channels;
+}
+
+//==============================================================================
+/**  Renders the patch offline and encodes the result as a WAV file.
+ *
+ *   The length must be given as exactly one of frames, seconds or sequencer bars. A bar
+ *   is four of the sequencer's steps, and at the patch's default tempo each step lasts
+ *   sampleRate / 9 frames, so a bar lasts 4 * sampleRate / 9 frames.
+ *
+ *   The sequencer is stopped at the start of the tail, so that the voices go quiet and
+ *   the delay's feedback can die away on its own rather than being cut off. If Replicant.js
+ *   was generated from a version of the patch without a transport input to stop it with,
+ *   asking for a tail throws an Error.
+ *
+ *   @param {Object} options
+ *   @param {number} options.sampleRate - the frequency in Hz at which to run the patch
+ *   @param {number} [options.frames] - the length to render, in frames
+ *   @param {number} [options.seconds] - the length to render, in seconds
+ *   @param {number} [options.bars] - the length to render, in sequencer bars
+ *   @param {number} [options.tailSeconds] - extra time to render after the main length
+ *   @param {string} [options.sampleFormat] - "int16", "int24" or "float32"
+ *   @param {number} [options.numChannels] - the number of channels to write. If this differs
+ *                                           from the patch's output, the channels are either
+ *                                           mixed down or the last one is duplicated.
+ *   @param {number} [options.normaliseToDecibels] - if defined, the audio is scaled so that
+ *                                                   its peak is at this level in dBFS
+ *   @param {number} [options.sessionID] - an integer to use for the session ID
+ *   @returns {Uint8Array} the bytes of the WAV file
+ */
+export async function bounceToWav ({ sampleRate = 44100,
+                                     frames,
+                                     seconds,
+                                     bars,
+                                     tailSeconds = 0,
+                                     sampleFormat = "int16",
+                                     numChannels,
+                                     normaliseToDecibels,
+                                     sessionID = Date.now() & 0x7fffffff } = {})
+{
+  const numMainFrames = getNumFramesForLength ({ sampleRate, frames, seconds, bars });
+  const numTailFrames = Math.max (0, Math.round (tailSeconds * sampleRate));
+  const numFrames = numMainFrames + numTailFrames;
+
+  if (numTailFrames > 0)
+    checkEndpointsExist ("a transport input to stop the sequencer for the tail", ["transportState"]);
+
+  const processor = await createInitialisedProcessor (sampleRate, sessionID);
+
+  const channels = createOutputChannels (numFrames);
+  renderIntoChannels (processor, channels, 0, numMainFrames);
+
+  if (numTailFrames > 0)
+  {
+    processor.sendInputEvent_transportState ({ flags: 0 });
+    renderIntoChannels (processor, channels, numMainFrames, numTailFrames);
+  }
+
+  const outputChannels = numChannels > 0 ? remapChannels (channels, numChannels) : channels;
+
+  if (normaliseToDecibels != null)
+    normalise (outputChannels, Math.pow (10, normaliseToDecibels / 20));
+
+  return wavFile.encodeWAVFile (outputChannels, sampleRate, sampleFormat);
+}
+
+/** Returns the number of frames in one of the sequencer's bars at the given sample rate.
+ *  This may not be a whole number.
+ */
+export function getFramesPerBar (sampleRate)
+{
+  return stepsPerBar * sampleRate * 60 / (defaultTempo * stepsPerQuarterNote);
+}
+
+/** @access private */
+async function createInitialisedProcessor (sampleRate, sessionID)
+{
+  const processor = new Replicant();
+  await processor.initialise (sessionID, sampleRate, await compileWasmModule());
+
+  // N.B. the worklet does this when it starts, so without it the offline render would sound different
+  helpers.applyInitialParameterValues (processor, sampleRate);
+  return processor;
+}
+
+/** @access private */
+function getNumFramesForLength ({ sampleRate, frames, seconds, bars })
+{
+  const numLengths = [frames, seconds, bars].filter (length => length != null).length;
+
+  if (numLengths !== 1)
+    throw new Error (numLengths === 0 ? "bounceToWav() requires a length in frames, seconds or bars"
+                                      : "bounceToWav() requires only one of frames, seconds or bars");
+
+  let numFrames;
+
+  if (frames != null)        numFrames = Math.round (frames);
+  else if (seconds != null)  numFrames = Math.round (seconds * sampleRate);
+  else                       numFrames = Math.round (bars * getFramesPerBar (sampleRate));
+
+  if (! (numFrames > 0))
+    throw new Error ("bounceToWav() requires a length greater than zero");
+
+  return numFrames;
+}
+
+//==============================================================================
+/**  Returns a compact, JSON-serialisable snapshot of the state of a processor.
+ *
+ *   Unlike the object returned by `getState()`, the snapshot is compressed, and is
+ *   tagged with the manifest's ID and version and a hash of the webassembly, so
+ *   that `restoreStateSnapshot()` can reject snapshots from a different build.
+ *
+ *   @param {Replicant} processor - an initialised processor
+ *   @returns {Object} the snapshot
+ */
+export function getStateSnapshot (processor)
+{
+  return createStateSnapshotFromMemory (processor.getState().memory);
+}
+
+/**  Restores a processor to the state in a snapshot that was created by `getStateSnapshot()`.
+ *   Throws an Error if the snapshot is invalid or doesn't match this build of the patch.
+ *
+ *   @param {Replicant} processor - an initialised processor
+ *   @param {Object|string} snapshot - the snapshot object, or its JSON string
+ */
+export function restoreStateSnapshot (processor, snapshot)
+{
+  processor.restoreState ({ memory: decodeStateSnapshotToMemory (snapshot, processor.byteMemory.length) });
+}
+
+/** Returns a hash that identifies the webassembly embedded in Replicant.js, which is also the
+ *  build that `compileWasmModule()` compiles. (tools/update-web-export.mjs works this out when
+ *  it writes Replicant.js, so the embedded bytes don't have to be decoded to get it.)
+ */
+export function getWasmHash()
+{
+  return wasmHash;
+}
+
+/** @access private */
+function getStateSnapshotTags()
+{
+  return { patchID: manifest.ID, patchVersion: manifest.version, wasmHash: getWasmHash() };
+}
+
+/** @access private */
+function createStateSnapshotFromMemory (memory)
+{
+  return stateSnapshots.createStateSnapshot (memory, getStateSnapshotTags());
+}
+
+/** @access private */
+function decodeStateSnapshotToMemory (snapshot, memorySize)
+{
+  return stateSnapshots.decodeStateSnapshot (snapshot, { ...getStateSnapshotTags(), memorySize });
+}
+
+/** @access private */
+function remapChannels (channels, numChannels)
+{
+  if (numChannels === channels.length)
+    return channels;
+
+  if (numChannels > channels.length)
+    return Array.from ({ length: numChannels }, (_, i) => channels[Math.min (i, channels.length - 1)].slice());
+
+  // mix down by averaging each group of source channels that lands on the same destination channel
+  const numFrames = channels[0].length;
+  const result = Array.from ({ length: numChannels }, () => new Float32Array (numFrames));
+  const counts = new Array (numChannels).fill (0);
+
+  channels.forEach ((source, i) =>
+  {
+    const dest = i % numChannels;
+    ++counts[dest];
+
+    for (let frame = 0; frame < numFrames; ++frame)
+      result[dest][frame] += source[frame];
+  });
+
+  result.forEach ((dest, i) => { for (let frame = 0; frame < numFrames; ++frame) dest[frame] /= counts[i]; });
+  return result;
+}
+
+/** @access private */
+function normalise (channels, targetPeak)
+{
+  let peak = 0;
+
+  for (const channel of channels)
+    for (const sample of channel)
+      peak = Math.max (peak, Math.abs (sample));
+
+  if (peak > 0)
+  {
+    const gain = targetPeak / peak;
+
+    for (const channel of channels)
+      for (let i = 0; i < channel.length; ++i)
+        channel[i] *= gain;
+  }
+}
+
+/** @access private */
+function createOutputChannels (numFrames)
+{
+  const audioOutput = getOutputEndpoints().find (({ purpose }) => purpose === "audio out");
+  const numChannels = audioOutput?.numAudioChannels ?? 1;
+
+  return Array.from ({ length: numChannels }, () => new Float32Array (numFrames));
+}
+
+/** @access private */
+function renderIntoChannels (processor, channels, startFrame, numFrames)
+{
+  // N.B. getOutputFrames_out() can only return one block's worth of frames at a time
+  const maxBlockSize = 512;
+  const endFrame = startFrame + numFrames;
+
+  for (let frame = startFrame; frame < endFrame; frame += maxBlockSize)
+  {
+    const blockSize = Math.min (maxBlockSize, endFrame - frame);
+
+    processor.advance (blockSize);
+    processor.getOutputFrames_out (channels.map (c => c.subarray (frame, frame + blockSize)), blockSize);
+  }
+}
+
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+//==============================================================================
+//
+//  replicant-render: renders the Replicant patch headlessly and writes the
+//  result to a WAV file.
+//
+//  This loads the webassembly export in docs/, so it needs a version
+//  of Node.js that can load ES modules without a package.json (20.19 or later).
+//
+//  Run it with --help for a list of options.
+//
+//==============================================================================
+
+import { parseArgs } from "node:util";
+import { writeFile } from "node:fs/promises";
+import { bounceToWav } from "../docs/replicant-extras.js";
+import { getAvailableSampleFormats } from "../docs/cmaj_api/cmaj-wav-file.js";
+
+const usage = `Usage: replicant-render [options] --output <file.wav>
+
+Options:
+  -o, --output <file>        The WAV file to write
+  -r, --sample-rate <hz>     The sample rate to render at (default: 44100)
+  -d, --duration <seconds>   The length to render, in seconds (default: 30)
+      --frames <n>           The length to render, in frames
+      --bars <n>             The length to render, in bars of 4 sequencer steps
+                             (only one of --duration, --frames and --bars can be given)
+      --tail <seconds>       Extra time to render after stopping the sequencer, so the delay can ring out (default: 0)
+  -s, --session-id <n>       The session ID (an integer >= 2), which seeds the patch (default: random)
+      --seed <n>             An alias for --session-id
+  -c, --channels <n>         The number of channels to write (default: the patch's output count)
+  -f, --format <format>      The sample format: ${getAvailableSampleFormats().join (", ")} (default: int16)
+  -n, --normalise            Scale the output so that its peak hits --peak
+      --peak <dBFS>          The peak level used by --normalise (default: -1). As it's negative,
+                             it has to be attached with an "=", e.g. --peak=-3
+  -h, --help                 Show this message
+`;
+
+function fail (message)
+{
+    console.error (`replicant-render: ${message}\n\n${usage}`);
+    process.exit (1);
+}
+
+function parseNumber (name, text, { integer = false, min } = {})
+{
+    if (text === undefined)
+        return undefined;
+
+    const value = Number (text);
+
+    if (! Number.isFinite (value) || (integer && ! Number.isInteger (value)) || (min !== undefined && value < min))
+        fail (`invalid value for --${name}: "${text}"`);
+
+    return value;
+}
+
+//==============================================================================
+async function main()
+{
+    let args;
+
+    try
+    {
+        args = parseArgs ({
+            options: {
+                "output":       { type: "string",  short: "o" },
+                "sample-rate":  { type: "string",  short: "r" },
+                "duration":     { type: "string",  short: "d" },
+                "frames":       { type: "string" },
+                "bars":         { type: "string" },
+                "tail":         { type: "string" },
+                "session-id":   { type: "string",  short: "s" },
+                "seed":         { type: "string" },
+                "channels":     { type: "string",  short: "c" },
+                "format":       { type: "string",  short: "f" },
+                "normalise":    { type: "boolean", short: "n" },
+                "peak":         { type: "string" },
+                "help":         { type: "boolean", short: "h" },
+            },
+        }).values;
+    }
+    catch (e)
+    {
+        fail (e.message);
+    }
+
+    if (args.help)
+    {
+        console.log (usage);
+        return;
+    }
+
+    if (! args.output)
+        fail ("an output file must be specified with --output");
+
+    const format = args.format ?? "int16";
+
+    if (! getAvailableSampleFormats().includes (format))
+        fail (`unknown sample format "${format}"`);
+
+    const lengthOptions = ["duration", "frames", "bars"].filter (name => args[name] !== undefined);
+
+    if (lengthOptions.length > 1)
+        fail (`only one of --duration, --frames and --bars can be given, but got ${lengthOptions.map (name => "--" + name).join (", ")}`);
+
+    const sessionIDText = args["session-id"] ?? args.seed;
+    const frames = parseNumber ("frames", args.frames, { integer: true, min: 1 });
+    const bars = parseNumber ("bars", args.bars, { min: 0 });
+    const duration = parseNumber ("duration", args.duration, { min: 0 });
+
+    const options = {
+        sampleRate:          parseNumber ("sample-rate", args["sample-rate"], { integer: true, min: 1 }) ?? 44100,
+        frames,
+        bars,
+        seconds:             duration ?? (frames === undefined && bars === undefined ? 30 : undefined),
+        tailSeconds:         parseNumber ("tail", args.tail, { min: 0 }) ?? 0,
+        sampleFormat:        format,
+        numChannels:         parseNumber ("channels", args.channels, { integer: true, min: 1 }),
+        normaliseToDecibels: args.normalise ? (parseNumber ("peak", args.peak) ?? -1) : undefined,
+    };
+
+    if (sessionIDText !== undefined)
+        options.sessionID = parseNumber ("session-id", sessionIDText, { integer: true, min: 2 });
+
+    const wav = await bounceToWav (options);
+    await writeFile (args.output, wav);
+}
+
+main().catch (e =>
+{
+    console.error (`replicant-render: ${e.message}`);
+    process.exit (1);
+});
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+//==============================================================================
+//
+//  update-web-export: copies a freshly generated Replicant.js into docs/,
+//  applies the small edits that docs/replicant-extras.js relies on, and
+//  writes the matching docs/Replicant.wasm. It also adds the hash of the
+//  webassembly as a constant, so that it needn't be worked out at runtime.
+//
+//  Generate the export into a temporary folder first, so that the hand-written
+//  files in docs/ aren't overwritten:
+//
+//    cmaj generate --target=webaudio --output=/tmp/replicant-export replicant.cmajorpatch
+//    node tools/update-web-export.mjs /tmp/replicant-export/Replicant.js
+//
+//==============================================================================
+
+import { readFile, writeFile } from "node:fs/promises";
+import { hashBytes } from "../docs/cmaj_api/cmaj-state-snapshot.js";
+
+const docsFolder = new URL ("../docs/", import.meta.url);
+
+// Each edit is an exact piece of the generated code and its replacement. If the
+// generator's output changes so that one of these can't be found, this fails
+// rather than writing a file that replicant-extras.js can't use.
+const edits = [
+    {
+        description: "export the Replicant class",
+        from: "\nclass Replicant\n",
+        to:   "\nexport class Replicant\n",
+    },
+    {
+        description: "document the wasmModule argument of initialise()",
+        from: "   *  @param {number} frequency - The frequency in Hz that the processor will be expected to run at.\n",
+        to:   "   *  @param {number} frequency - The frequency in Hz that the processor will be expected to run at.\n"
+            + "   *  @param {WebAssembly.Module} [wasmModule] - An optional pre-compiled module to instantiate.\n"
+            + "   *                                             If this isn't supplied, the embedded bytes are used.\n",
+    },
+    {
+        description: "add the wasmModule argument to initialise()",
+        from: "  async initialise (sessionID, frequency)\n",
+        to:   "  async initialise (sessionID, frequency, wasmModule)\n",
+    },
+    {
+        description: "instantiate a pre-compiled module in initialise()",
+        from: "    const result = await WebAssembly.instantiate (this._getWasmBytes(), imports);\n"
+            + "    this.instance = result.instance;\n",
+        to:   "    if (wasmModule)\n"
+            + "      this.instance = await WebAssembly.instantiate (wasmModule, imports);\n"
+            + "    else\n"
+            + "      this.instance = (await WebAssembly.instantiate (this._getWasmBytes(), imports)).instance;\n",
+    },
+];
+
+// This one can only be made once the webassembly has been extracted from the edited code.
+function getWasmHashEdit (wasmHash)
+{
+    const getInputEndpoints = "export function getInputEndpoints()  { return Replicant.prototype.getInputEndpoints(); }\n";
+
+    return {
+        description: "add the hash of the webassembly",
+        from: getInputEndpoints,
+        to:   getInputEndpoints
+            + "\n"
+            + "/** The hashBytes() hash of the patch's webassembly, written by tools/update-web-export.mjs */\n"
+            + `export const wasmHash = "${wasmHash}";\n`,
+    };
+}
+
+function applyEdits (code, edits)
+{
+    for (const { description, from, to } of edits)
+    {
+        const index = code.indexOf (from);
+
+        if (index < 0 || code.indexOf (from, index + 1) >= 0)
+            throw new Error (`couldn't ${description}: the generated code doesn't contain exactly one match for the expected text`);
+
+        code = code.substring (0, index) + to + code.substring (index + from.length);
+    }
+
+    return code;
+}
+
+//==============================================================================
+async function main()
+{
+    const generatedFile = process.argv[2];
+
+    if (! generatedFile || generatedFile === "--help" || generatedFile === "-h")
+    {
+        console.log ("Usage: update-web-export <path to a newly generated Replicant.js>");
+        return;
+    }
+
+    const code = applyEdits (await readFile (generatedFile, "utf8"), edits);
+    const outputFile = new URL ("Replicant.js", docsFolder);
+    await writeFile (outputFile, code);
+
+    const { Replicant } = await import (outputFile.href + "?" + Date.now());
+    const wasmBytes = Replicant.prototype._getWasmBytes();
+
+    await writeFile (outputFile, applyEdits (code, [getWasmHashEdit (hashBytes (wasmBytes))]));
+    await writeFile (new URL ("Replicant.wasm", docsFolder), wasmBytes);
+}
+
+main().catch (e =>
+{
+    console.error (`update-web-export: ${e.message}`);
+    process.exit (1);
+});